@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from 'fs';
+import { basename, dirname, extname, join } from 'path';
+import { parseArgs } from 'util';
+import * as THREE from 'three';
+import { buildModel, printScene, outlineBounds, featureClasses, layerOf, mergePriority, simplificationSummary } from '../js/model.js';
+import { normalizeStyle } from '../js/style.js';
+import { overpassQuery, cropElements } from '../js/osm.js';
+import { fetchOverpass, overpassMirrors } from '../js/overpass.js';
+import { areaTagsOf } from '../js/landcover.js';
+import { parseOsmFile } from '../js/osmFiles.js';
+import { ElevationModel, parseElevationFile } from '../js/dem.js';
+import { exportModel, exportFormats } from '../js/exportModel.js';
+import { mergeForPrint } from '../js/printability.js';
+import { colourChangePlan } from '../js/printLayers.js';
+
+const formats = Object.keys(exportFormats).filter(format => format !== 'glb');
+
+// Builds a model without a browser, from an area downloaded from Overpass or
+// a local OSM extract, and writes it in any of the export formats but GLB,
+// whose exporter needs the browser's FileReader.
+
+const usage = `Usage: map-to-model (--bbox south,west,north,east | --input area.osm) [options]
+
+  --bbox s,w,n,e          Area to download from Overpass, or to crop --input to
+  --input FILE            Local map data: .osm, .osm.pbf, .geojson or Overpass .json
+  --output FILE           File to write (default model.3mf)
+  --format FORMAT         ${formats.join(', ')}; by default from the
+                          output extension
+  --size MM               Printed length of the longer side (default 200)
+  --style FILE            Layer style preset saved from the style panel
+  --title TEXT            Title for the title decoration
+  --dem FILE              Elevation data (.hgt, .tif, .asc); repeat for more tiles
+  --exaggeration N        Terrain exaggeration (default 1.5)
+  --simplify MM           Leave out outline detail finer than this on the print
+                          (default 0.05; 0 keeps every point)
+  --min-building MM2      Merge buildings with a smaller printed footprint into
+                          one they touch, or leave them out (default 0.25)
+  --merge                 Merge each layer into one solid for printing
+  --slicer NAME           Extruder assignment: prusa, bambu or both
+  --colour-changes        Snap heights to the print layers and stack the layers
+                          by height for filament changes on one extruder; the
+                          plan goes into a 3MF or zip, or next to other files
+  --layer-height MM       Print layer height for --colour-changes (default 0.2)
+  --first-layer MM        First layer height for --colour-changes (default 0.2)
+  --overpass-url URL      Overpass endpoint (default https://overpass-api.de/api/interpreter)
+  --timeout S             Seconds Overpass may spend on the query (default 180)
+  --no-mirrors            Do not fall back to the public Overpass mirrors
+  --help                  Show this help
+`;
+
+const { values: args } = parseArgs({
+    options: {
+        bbox: { type: 'string' },
+        input: { type: 'string' },
+        output: { type: 'string', default: 'model.3mf' },
+        format: { type: 'string' },
+        size: { type: 'string', default: '200' },
+        style: { type: 'string' },
+        title: { type: 'string', default: '' },
+        dem: { type: 'string', multiple: true, default: [] },
+        exaggeration: { type: 'string', default: '1.5' },
+        simplify: { type: 'string', default: '0.05' },
+        'min-building': { type: 'string', default: '0.25' },
+        merge: { type: 'boolean', default: false },
+        slicer: { type: 'string', default: 'none' },
+        'colour-changes': { type: 'boolean', default: false },
+        'layer-height': { type: 'string', default: '0.2' },
+        'first-layer': { type: 'string', default: '0.2' },
+        'overpass-url': { type: 'string', default: 'https://overpass-api.de/api/interpreter' },
+        timeout: { type: 'string', default: '180' },
+        'no-mirrors': { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false }
+    }
+});
+
+if (args.help) {
+    process.stdout.write(usage);
+    process.exit(0);
+}
+
+Promise.resolve().then(run).catch(error => {
+    console.error(`map-to-model: ${error.message}`);
+    process.exit(1);
+});
+
+function run() {
+    if (!args.bbox && !args.input) throw new Error(`give --bbox or --input\n\n${usage}`);
+
+    const modelSizeMM = parseFloat(args.size);
+    if (!(modelSizeMM > 0)) throw new Error(`--size must be a positive number of mm, not "${args.size}"`);
+    const format = args.format || formatFromExtension(args.output);
+    if (format === 'glb') throw new Error(`glb export needs a browser; use the page, or one of ${formats.join(', ')}`);
+    if (!formats.includes(format)) throw new Error(`unknown format "${format}"; use one of ${formats.join(', ')}`);
+
+    const simplifyMM = parseFloat(args.simplify);
+    if (!(simplifyMM >= 0)) throw new Error(`--simplify must be a number of mm, not "${args.simplify}"`);
+    const minBuildingMM2 = parseFloat(args['min-building']);
+    if (!(minBuildingMM2 >= 0)) throw new Error(`--min-building must be a number of mm², not "${args['min-building']}"`);
+    const layers = args['colour-changes'] ? printLayers() : null;
+    const style = normalizeStyle(args.style ? JSON.parse(readFileSync(args.style, 'utf8')) : {});
+    const font = new THREE.Font(JSON.parse(readFileSync(new URL('../fonts/droid_sans_bold.typeface.json', import.meta.url), 'utf8')));
+    const elevationModel = args.dem.length > 0
+        ? new ElevationModel(args.dem.map(file => parseElevationFile(basename(file), readArrayBuffer(file))))
+        : null;
+
+    return loadArea(style).then(({ elements, outline }) => {
+        console.error(`Building a ${modelSizeMM} mm model from ${elements.length} elements`);
+        const bounds = outlineBounds(outline);
+        if (elevationModel && !elevationModel.covers(bounds.south, bounds.west, bounds.north, bounds.east)) {
+            console.error('Warning: the elevation data does not cover the whole area; uncovered parts are flat.');
+        }
+
+        const modelGroup = buildModel({ elements }, outline, {
+            style,
+            modelSizeMM,
+            terrainExaggeration: parseFloat(args.exaggeration) || 0,
+            elevationModel,
+            font,
+            title: args.title,
+            simplifyMM,
+            minBuildingMM2,
+            layers
+        });
+        const { name, maxScaleError } = modelGroup.userData.projection;
+        console.error(`${name} projection; scale error up to ${(maxScaleError * 1e6).toFixed(1)} ppm`);
+        console.error(simplificationSummary(modelGroup.userData.simplification));
+        const colourPlan = layers && colourPlanOf(modelGroup, style);
+        const exportScene = printScene(modelGroup, modelSizeMM);
+        if (!args.merge) return { object: exportScene, issues: [], colourPlan };
+        return mergeForPrint(exportScene, layerOf, mergePriority).then(merged => ({ ...merged, colourPlan }));
+    })
+    .then(({ object, issues, colourPlan }) => {
+        const baseName = basename(args.output, extname(args.output));
+        return exportModel(object, format, { layerOf, slicerMetadata: args.slicer, baseName, title: baseName, colourPlan })
+            .then(result => ({ ...result, issues: issues.concat(result.issues) }));
+    })
+    .then(({ blob, issues, sideFiles }) => {
+        issues.forEach(issue => console.error(`${issue.severity}: ${issue.message}`));
+        Object.keys(sideFiles).forEach(name => {
+            writeFileSync(join(dirname(args.output), name), sideFiles[name]);
+            console.error(`Wrote ${join(dirname(args.output), name)}`);
+        });
+        return blob.arrayBuffer();
+    })
+    .then(buffer => {
+        writeFileSync(args.output, new Uint8Array(buffer));
+        console.error(`Wrote ${args.output}`);
+    });
+}
+
+function printLayers() {
+    const layerHeightMM = parseFloat(args['layer-height']);
+    const firstLayerMM = parseFloat(args['first-layer']);
+    if (!(layerHeightMM > 0)) throw new Error(`--layer-height must be a positive number of mm, not "${args['layer-height']}"`);
+    if (!(firstLayerMM > 0)) throw new Error(`--first-layer must be a positive number of mm, not "${args['first-layer']}"`);
+    return { layerHeightMM, firstLayerMM };
+}
+
+// The filament changes for a model built on print layers, reported as it goes
+function colourPlanOf(modelGroup, style) {
+    const plan = colourChangePlan(modelGroup.userData.printLayers, style, featureClasses);
+    console.error(`Start with ${plan.start.name}, then ${plan.changes.length} colour change(s)`);
+    if (plan.terrain) console.error('Warning: with terrain, colours only follow the feature classes on level ground.');
+    return plan;
+}
+
+// The elements and the outline to cut them to: the --bbox rectangle, or the
+// extent of the --input file when no box is given. Downloads include the
+// land cover areas of the style.
+function loadArea(style) {
+    const box = args.bbox && parseBbox(args.bbox);
+    const outline = box && [
+        { lat: box.south, lng: box.west },
+        { lat: box.south, lng: box.east },
+        { lat: box.north, lng: box.east },
+        { lat: box.north, lng: box.west }
+    ];
+
+    if (args.input) {
+        const { elements } = parseOsmFile(basename(args.input), readArrayBuffer(args.input));
+        const nodes = elements.filter(el => el.type === 'node');
+        if (nodes.length === 0) throw new Error(`${args.input} contains no nodes`);
+        if (box) return Promise.resolve({ elements: cropElements(elements, box), outline });
+
+        const lats = nodes.map(node => node.lat), lons = nodes.map(node => node.lon);
+        const south = Math.min(...lats), north = Math.max(...lats), west = Math.min(...lons), east = Math.max(...lons);
+        return Promise.resolve({
+            elements,
+            outline: [{ lat: south, lng: west }, { lat: south, lng: east }, { lat: north, lng: east }, { lat: north, lng: west }]
+        });
+    }
+
+    const timeoutS = parseFloat(args.timeout);
+    if (!(timeoutS > 0)) throw new Error(`--timeout must be a positive number of seconds, not "${args.timeout}"`);
+    const overpassUrl = args['overpass-url'];
+    const endpoints = [overpassUrl].concat(args['no-mirrors'] ? [] : overpassMirrors.filter(url => url !== overpassUrl));
+    const query = overpassQuery(outline, { timeoutS, maxSizeBytes: 1024 * 1024 * 1024, areaTags: areaTagsOf(style) });
+    return fetchOverpass(query, {
+        endpoints,
+        timeoutS: timeoutS + 30,
+        onStatus: message => console.error(message)
+    })
+    .then(data => ({ elements: data.elements, outline }));
+}
+
+function parseBbox(value) {
+    const numbers = value.split(',').map(Number);
+    const [south, west, north, east] = numbers;
+    if (numbers.length !== 4 || numbers.some(Number.isNaN) || !(south < north) || !(west < east)) {
+        throw new Error(`--bbox must be south,west,north,east in degrees, not "${value}"`);
+    }
+    return { south, west, north, east };
+}
+
+function formatFromExtension(file) {
+    const extension = extname(file).toLowerCase().slice(1);
+    return extension === 'zip' ? 'stl-layers' : extension;
+}
+
+function readArrayBuffer(file) {
+    const buffer = readFileSync(file);
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
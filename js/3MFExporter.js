@@ -1,53 +1,81 @@
 import {
-	BufferGeometry,
-	Color,
 	Matrix4,
-	Mesh,
 	Vector3
 } from 'three';
+import { strToU8, zipSync } from 'fflate';
+import { validate3MF } from './3MFValidator.js';
 
 /**
  * @author / https://github.com/flybyray
  * @author / https://github.com/msfeldstein
+ *
+ * Writes a 3MF package: an OPC zip container holding [Content_Types].xml,
+ * _rels/.rels and the 3D/3dmodel.model part.
+ *
+ * Mesh world transforms are baked into the written vertices and coincident
+ * vertices are welded, so each mesh becomes one closed <object> when its
+ * geometry is closed. options.groupBy( mesh ) may return a key to merge
+ * meshes into one named <object> per key instead.
+ *
+ * Every object is coloured through a shared <basematerials> group. Setting
+ * options.slicerMetadata to 'prusa', 'bambu' or 'both' also writes the
+ * slicer project config that assigns one extruder per material.
+ *
+ * For single-extruder printing by height, options.colourChanges lists
+ * { z, color } filament changes: every object goes to the first extruder and
+ * the slicer project gets an M600 at the top of each layer z. Any
+ * options.colourPlan text is written to Metadata/colour_changes.txt.
+ *
+ * onDone receives the package as a Blob plus the list of issues found by
+ * validate3MF, so callers can report spec violations before downloading.
  */
 
+const CORE_NAMESPACE = 'http://schemas.microsoft.com/3dmanufacturing/core/2015/02';
+const MODEL_PATH = '3D/3dmodel.model';
+
 class _3MFExporter {
 
 	parse( object, onDone, options ) {
 
-		const geometryMap = new Map();
-		const materialMap = new Map();
-		const textureMap = new Map();
-		const colorMap = new Map();
-
-		//
-
-		function processGeometry( geometry ) {
+		options = Object.assign( {
+			title: '',
+			upAxis: 'Y',
+			groupBy: null,
+			slicerMetadata: 'none',
+			colourChanges: [],
+			colourPlan: '',
+			validate: true
+		}, options );
 
-			if ( geometryMap.has( geometry ) ) return;
+		// 3MF is Z-up; three.js scenes are usually Y-up.
+		const upAxisMatrix = new Matrix4();
 
-			//
+		if ( options.upAxis === 'Y' ) {
 
-			const bufferGeometry = new BufferGeometry();
+			upAxisMatrix.set(
+				1, 0, 0, 0,
+				0, 0, - 1, 0,
+				0, 1, 0, 0,
+				0, 0, 0, 1
+			);
 
-			if ( geometry.isGeometry === true ) {
-
-				bufferGeometry.fromGeometry( geometry );
+		}
 
-			} else {
+		const groups = new Map();
+		const materials = new Map();
 
-				bufferGeometry.copy( geometry );
+		//
 
-			}
+		function processGeometry( geometry, matrix, group ) {
 
-			if ( bufferGeometry.isBufferGeometry !== true ) {
+			if ( geometry.isBufferGeometry !== true ) {
 
 				throw new Error( 'THREE.3MFExporter: Geometry is not of type THREE.BufferGeometry.' );
 
 			}
 
-			const vertexPositions = bufferGeometry.getAttribute( 'position' );
-			const vertexColors = bufferGeometry.getAttribute( 'color' );
+			const vertexPositions = geometry.getAttribute( 'position' );
+			const index = geometry.getIndex();
 
 			if ( vertexPositions === undefined ) {
 
@@ -55,47 +83,77 @@ class _3MFExporter {
 
 			}
 
-			geometryMap.set( geometry, {
-				vertex: vertexPositions,
-				color: vertexColors
-			} );
+			// Shared corners are welded at the precision the file is written with, so
+			// split-normal geometry such as BoxGeometry collapses to its real vertices.
+			// Geometry flagged userData.welded already indexes a solid, and vertices
+			// that coincide in it are distinct on purpose.
 
-		}
+			const vertices = group.vertices;
+			const triangles = group.triangles;
+			const welded = geometry.userData.welded === true;
+			const lookup = group.lookup;
+			const remap = new Array( vertexPositions.count );
+			const vertex = new Vector3();
 
-		function processMaterial( material ) {
+			for ( let i = 0, l = vertexPositions.count; i < l; i ++ ) {
 
-			if ( materialMap.has( material ) ) return;
+				vertex.fromBufferAttribute( vertexPositions, i ).applyMatrix4( matrix );
 
-			//
+				const key = welded ? null : formatNumber( vertex.x ) + ',' + formatNumber( vertex.y ) + ',' + formatNumber( vertex.z );
+				let target = welded ? undefined : lookup.get( key );
 
-			const a = Math.round( material.opacity * 255 );
-			const c = material.color.clone();
+				if ( target === undefined ) {
 
-			if ( material.vertexColors ) {
+					target = vertices.length / 3;
+					if ( ! welded ) lookup.set( key, target );
+					vertices.push( vertex.x, vertex.y, vertex.z );
 
-				c.set( 0xffffff );
+				}
+
+				remap[ i ] = target;
 
 			}
 
-			const sRGB = c.getHexString().toUpperCase();
+			// Mirroring transforms turn the mesh inside out unless the winding is flipped.
+			const flip = matrix.determinant() < 0;
+			const count = index !== null ? index.count : vertexPositions.count;
 
-			materialMap.set( material, {
-				name: material.name,
-				color: '#' + sRGB + ( ( a < 255 ) ? a.toString( 16 ).toUpperCase() : '' ),
-				opacity: material.opacity
-			} );
+			for ( let i = 0; i + 2 < count; i += 3 ) {
+
+				const a = remap[ index !== null ? index.getX( i ) : i ];
+				const b = remap[ index !== null ? index.getX( i + 1 ) : i + 1 ];
+				const c = remap[ index !== null ? index.getX( i + 2 ) : i + 2 ];
+
+				if ( a === b || b === c || c === a ) continue;
+
+				if ( flip ) {
+
+					triangles.push( a, c, b );
+
+				} else {
+
+					triangles.push( a, b, c );
+
+				}
+
+			}
 
 		}
 
-		function processTexture( texture ) {
+		function processMaterial( material ) {
 
-			if ( textureMap.has( texture ) ) return;
+			if ( Array.isArray( material ) ) material = material[ 0 ];
 
-			//
+			if ( materials.has( material ) ) return materials.get( material );
 
-			textureMap.set( texture, {
-				image: texture.image
-			} );
+			const entry = {
+				name: material.name,
+				displaycolor: '#' + ( material.color ? material.color.getHexString() : 'ffffff' ).toUpperCase()
+			};
+
+			materials.set( material, entry );
+
+			return entry;
 
 		}
 
@@ -103,226 +161,345 @@ class _3MFExporter {
 
 			if ( object.isMesh !== true ) return;
 
-			const geometry = object.geometry;
-			const material = object.material;
-			const matrix = object.matrixWorld;
+			const key = options.groupBy ? options.groupBy( object ) : undefined;
+			const groupKey = key !== undefined ? key : object;
+
+			if ( groups.has( groupKey ) === false ) {
 
-			//
+				groups.set( groupKey, {
+					name: key !== undefined ? String( key ) : object.name,
+					material: processMaterial( object.material ),
+					vertices: [],
+					triangles: [],
+					lookup: new Map()
+				} );
 
-			if ( Array.isArray( material ) ) {
+			}
 
-				for ( var i = 0, l = material.length; i < l; i ++ ) {
+			// World transforms are baked into the vertices, so every build item is placed as-is.
+			const matrix = new Matrix4().multiplyMatrices( upAxisMatrix, object.matrixWorld );
 
-					processMaterial( material[ i ] );
+			processGeometry( object.geometry, matrix, groups.get( groupKey ) );
 
-				}
+		}
+
+		object.updateMatrixWorld( true );
+		object.traverse( processObject );
+
+		//
+
+		const baseMaterials = [ { id: 1, materials: [] } ];
+		const objects = [];
+		const items = [];
+
+		groups.forEach( function ( group ) {
+
+			if ( group.triangles.length === 0 ) return;
+
+			let pindex = baseMaterials[ 0 ].materials.indexOf( group.material );
+
+			if ( pindex === - 1 ) {
+
+				pindex = baseMaterials[ 0 ].materials.length;
+				baseMaterials[ 0 ].materials.push( group.material );
 
-			} else {
+			}
+
+			objects.push( {
+				id: objects.length + 2,
+				name: group.name,
+				type: 'model',
+				pid: 1,
+				pindex: pindex,
+				extruder: options.colourChanges.length > 0 ? 1 : pindex + 1,
+				vertices: group.vertices,
+				triangles: group.triangles
+			} );
+
+			items.push( { objectid: objects[ objects.length - 1 ].id } );
+
+		} );
+
+		const model = {
+			unit: 'millimeter',
+			metadata: {
+				Title: options.title,
+				Application: 'Map to Model',
+				CreationDate: new Date().toISOString().slice( 0, 10 )
+			},
+			baseMaterials: objects.length > 0 ? baseMaterials : [],
+			objects: objects,
+			items: items
+		};
+
+		const parts = buildPackage( buildXML( model ) );
 
-				processMaterial( material );
+		if ( options.slicerMetadata === 'prusa' || options.slicerMetadata === 'both' ) {
+
+			parts[ 'Metadata/Slic3r_PE_model.config' ] = buildPrusaConfig( model );
+
+			if ( options.colourChanges.length > 0 ) {
+
+				parts[ 'Metadata/Prusa_Slicer_custom_gcode_per_print_z.xml' ] = buildPrusaColourChanges( options.colourChanges );
 
 			}
 
-			if ( material.map ) processTexture( material.map );
+		}
 
-			processGeometry( geometry );
+		if ( options.slicerMetadata === 'bambu' || options.slicerMetadata === 'both' ) {
 
-			//
+			parts[ 'Metadata/model_settings.config' ] = buildBambuConfig( model );
 
-			for ( let i = 0, l = object.children.length; i < l; i ++ ) {
+			if ( options.colourChanges.length > 0 ) {
 
-				processObject( object.children[ i ] );
+				parts[ 'Metadata/custom_gcode_per_layer.xml' ] = buildBambuColourChanges( options.colourChanges );
 
 			}
 
 		}
 
-		processObject( object );
+		if ( options.colourPlan ) {
 
-		//
+			parts[ 'Metadata/colour_changes.txt' ] = options.colourPlan;
+
+		}
 
-		const xml = buildXML(
-			geometryMap,
-			materialMap,
-			textureMap,
-			object.matrixWorld
-		);
+		const issues = options.validate ? validate3MF( model, parts ) : [];
 
-		onDone( xml );
+		const files = {};
+
+		Object.keys( parts ).forEach( function ( path ) {
+
+			files[ path ] = strToU8( parts[ path ] );
+
+		} );
+
+		const blob = new Blob( [ zipSync( files, { level: 6 } ) ], { type: 'model/3mf' } );
+
+		onDone( blob, issues );
 
 	}
 
 }
 
-function buildXML( geometryMap, materialMap, textureMap, matrix ) {
+function buildPackage( modelXML ) {
 
-	const
-		materials = [],
-		textures = [],
-		geometries = [],
-		objects = [];
+	const parts = {};
 
-	materialMap.forEach( function ( material, key ) {
+	parts[ '[Content_Types].xml' ] = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+		'<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">\n' +
+			'\t<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>\n' +
+			'\t<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>\n' +
+			'\t<Default Extension="config" ContentType="text/xml"/>\n' +
+			'\t<Default Extension="xml" ContentType="application/xml"/>\n' +
+			'\t<Default Extension="txt" ContentType="text/plain"/>\n' +
+		'</Types>\n';
 
-		materials.push( buildMaterial( materials.length, material.name, material.color ) );
+	parts[ '_rels/.rels' ] = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+		'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">\n' +
+			'\t<Relationship Target="/' + MODEL_PATH + '" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>\n' +
+		'</Relationships>\n';
 
-	} );
+	parts[ MODEL_PATH ] = modelXML;
 
-	textureMap.forEach( function ( texture, key ) {
+	return parts;
 
-		textures.push( buildTexture( textures.length, texture ) );
+}
 
-	} );
+function buildXML( model ) {
 
-	geometryMap.forEach( function ( geometry, key ) {
+	const xml = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<model unit="' + model.unit + '" xml:lang="en-US" xmlns="' + CORE_NAMESPACE + '">'
+	];
 
-		geometries.push( buildGeometry(
-			geometries.length,
-			geometry,
-			materialMap.size > 0 ? Array.from( materialMap.keys() ) : null,
-			textureMap.size > 0 ? Array.from( textureMap.keys() ) : null
-		) );
+	Object.keys( model.metadata ).forEach( function ( name ) {
+
+		if ( model.metadata[ name ] ) {
+
+			xml.push( '\t<metadata name="' + name + '">' + escapeXML( model.metadata[ name ] ) + '</metadata>' );
+
+		}
 
 	} );
 
-	const worldMatrix = new Matrix4();
+	xml.push( '\t<resources>' );
 
-	function buildObject( object, index ) {
+	for ( let i = 0; i < model.baseMaterials.length; i ++ ) {
 
-		const
-			mesh = new Mesh( object.geometry, object.material ),
-			matrix = object.matrix.clone();
+		const group = model.baseMaterials[ i ];
 
-		matrix.premultiply( worldMatrix );
+		xml.push( '\t\t<basematerials id="' + group.id + '">' );
 
-		const
-			geometry = object.geometry,
-			material = object.material;
+		for ( let j = 0; j < group.materials.length; j ++ ) {
 
-		const
-			geometryKey = Array.from( geometryMap.keys() ).indexOf( geometry ),
-			materialKey = material ? ( Array.isArray( material ) ? null : Array.from( materialMap.keys() ).indexOf( material ) ) : - 1;
+			const material = group.materials[ j ];
 
-		var
-			objectXML = '\t\t<object id="' + index + '" type="model" ' + ( materialKey > - 1 ? 'pid="' + materialKey + '"' : '' ) + '>\n' +
-				'\t\t\t<mesh>\n' +
-					'\t\t\t\t<vertices>\n' +
-						geometries[ geometryKey ] +
-					'\t\t\t\t</vertices>\n' +
-					'\t\t\t\t<triangles>\n' +
-					'\t\t\t\t</triangles>\n' +
-				'\t\t\t</mesh>\n' +
-			'\t\t</object>\n';
+			xml.push( '\t\t\t<base name="' + escapeXML( material.name || 'Material ' + ( j + 1 ) ) + '" displaycolor="' + material.displaycolor + '"/>' );
 
-		worldMatrix.multiply( matrix );
+		}
 
-		for ( let i = 0, l = object.children.length; i < l; i ++ ) {
+		xml.push( '\t\t</basematerials>' );
 
-			const child = object.children[ i ];
+	}
 
-			if ( child.isMesh ) {
+	for ( let i = 0; i < model.objects.length; i ++ ) {
 
-				objectXML += buildObject( child, i );
+		buildObject( xml, model.objects[ i ] );
 
-			}
+	}
 
-		}
+	xml.push( '\t</resources>', '\t<build>' );
+
+	for ( let i = 0; i < model.items.length; i ++ ) {
+
+		const item = model.items[ i ];
 
-		return objectXML;
+		xml.push( '\t\t<item objectid="' + item.objectid + '"' +
+			( item.transform ? ' transform="' + item.transform.map( formatNumber ).join( ' ' ) + '"' : '' ) + '/>' );
 
 	}
 
-	const object = buildObject( new Mesh(), 0 );
+	xml.push( '\t</build>', '</model>', '' );
+
+	return xml.join( '\n' );
+
+}
+
+function buildObject( xml, object ) {
+
+	const vertices = object.vertices;
+	const triangles = object.triangles;
+
+	xml.push( '\t\t<object id="' + object.id + '" type="' + object.type + '"' +
+		( object.name ? ' name="' + escapeXML( object.name ) + '"' : '' ) +
+		( object.pid !== undefined ? ' pid="' + object.pid + '" pindex="' + object.pindex + '"' : '' ) + '>',
+	'\t\t\t<mesh>',
+	'\t\t\t\t<vertices>' );
+
+	for ( let i = 0; i < vertices.length; i += 3 ) {
+
+		xml.push( '\t\t\t\t\t<vertex x="' + formatNumber( vertices[ i ] ) + '" y="' + formatNumber( vertices[ i + 1 ] ) + '" z="' + formatNumber( vertices[ i + 2 ] ) + '"/>' );
+
+	}
 
-	var xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
-		'<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">\n' +
-			'\t<resources>\n' +
-				materials.join( '\n' ) +
-				textures.join( '\n' ) +
-			'\t</resources>\n' +
-			'\t<build>\n' +
-				'\t\t<item objectid="0" transform="' + matrix.elements.join( ' ' ) + '"/>\n' +
-			'\t</build>\n' +
-			'\t<objects>\n' +
-				geometries.join( '\n' ) +
-			'\t</objects>\n' +
-		'</model>';
+	xml.push( '\t\t\t\t</vertices>', '\t\t\t\t<triangles>' );
 
-	return new Blob( [ xml ], { type: 'application/zip' } );
+	for ( let i = 0; i < triangles.length; i += 3 ) {
+
+		xml.push( '\t\t\t\t\t<triangle v1="' + triangles[ i ] + '" v2="' + triangles[ i + 1 ] + '" v3="' + triangles[ i + 2 ] + '"/>' );
+
+	}
+
+	xml.push( '\t\t\t\t</triangles>', '\t\t\t</mesh>', '\t\t</object>' );
 
 }
 
-function buildMaterial( index, name, color ) {
+// Slicer project settings that assign each object to its own extruder/AMS slot.
+// PrusaSlicer reads volumes as triangle ranges; Bambu Studio reads parts by id.
+
+function buildPrusaConfig( model ) {
+
+	const xml = [ '<?xml version="1.0" encoding="UTF-8"?>', '<config>' ];
+
+	model.objects.forEach( function ( object ) {
 
-	return '\t\t<material id="' + index + '" name="' + name + '">\n' +
-		'\t\t\t<color color="' + color + '"/>\n' +
-	'\t\t</material>\n';
+		const name = escapeXML( object.name );
+
+		xml.push( '\t<object id="' + object.id + '" instances_count="1">',
+			'\t\t<metadata type="object" key="name" value="' + name + '"/>',
+			'\t\t<metadata type="object" key="extruder" value="' + object.extruder + '"/>',
+			'\t\t<volume firstid="0" lastid="' + ( object.triangles.length / 3 - 1 ) + '">',
+			'\t\t\t<metadata type="volume" key="name" value="' + name + '"/>',
+			'\t\t\t<metadata type="volume" key="extruder" value="' + object.extruder + '"/>',
+			'\t\t</volume>',
+			'\t</object>' );
+
+	} );
+
+	xml.push( '</config>', '' );
+
+	return xml.join( '\n' );
 
 }
 
-function buildTexture( index, texture ) {
+function buildBambuConfig( model ) {
 
-	const
-		canvas = document.createElement( 'canvas' ),
-		ctx = canvas.getContext( '2d' );
+	const xml = [ '<?xml version="1.0" encoding="UTF-8"?>', '<config>' ];
 
-	canvas.width = texture.image.width;
-	canvas.height = texture.image.height;
+	model.objects.forEach( function ( object ) {
 
-	ctx.drawImage( texture.image, 0, 0 );
+		const name = escapeXML( object.name );
 
-	//
+		xml.push( '\t<object id="' + object.id + '">',
+			'\t\t<metadata key="name" value="' + name + '"/>',
+			'\t\t<metadata key="extruder" value="' + object.extruder + '"/>',
+			'\t\t<part id="' + object.id + '" subtype="normal_part">',
+			'\t\t\t<metadata key="name" value="' + name + '"/>',
+			'\t\t\t<metadata key="extruder" value="' + object.extruder + '"/>',
+			'\t\t</part>',
+			'\t</object>' );
 
-	const
-		path = '/' + index + '.png',
-		data = canvas.toDataURL( 'image/png' ).replace( /^data:image\/(png|jpg);base64,/, '' );
+	} );
 
-	//
+	xml.push( '</config>', '' );
 
-	return '\t\t<texture2d id="' + index + '" path="' + path + '" contenttype="image/png" />\n' +
-		'\t\t<resource realpath="' + path + '">' + data + '</resource>\n';
+	return xml.join( '\n' );
 
 }
 
-function buildGeometry( index, geometry, materials, textures ) {
+// Filament changes by print height: PrusaSlicer keys them by the layer's
+// print_z, Bambu Studio by its top_z within a plate. Type 0 is a colour change.
+
+function buildPrusaColourChanges( changes ) {
 
-	const
-		vertices = geometry.vertex,
-		colors = geometry.color;
+	const xml = [ '<?xml version="1.0" encoding="utf-8"?>', '<custom_gcodes_per_print_z>' ];
 
-	const
-		vertexCount = vertices.count;
+	changes.forEach( function ( change ) {
 
-	var
-		xml = '\t\t<object id="' + index + '" type="model">\n' +
-			'\t\t\t<mesh>\n' +
-				'\t\t\t\t<vertices>\n';
+		xml.push( '<code print_z="' + formatNumber( change.z ) + '" type="0" extruder="1" color="' + change.color + '" extra="" gcode="M600"/>' );
 
-	for ( let i = 0; i < vertexCount; i ++ ) {
+	} );
 
-		const
-			vertex = new Vector3().fromBufferAttribute( vertices, i ),
-			color = colors ? new Color().fromBufferAttribute( colors, i ) : null;
+	xml.push( '<mode value="SingleExtruder"/>', '</custom_gcodes_per_print_z>', '' );
 
-		xml += '\t\t\t\t\t<vertex x="' + vertex.x + '" y="' + vertex.y + '" z="' + vertex.z + '"' + ( color ? ' color="#' + color.getHexString() + '"' : '' ) + '/>\n';
+	return xml.join( '\n' );
 
-	}
+}
 
-	xml += '\t\t\t\t</vertices>\n' +
-		'\t\t\t\t<triangles>\n';
+function buildBambuColourChanges( changes ) {
 
-	for ( let i = 0; i < vertexCount; i += 3 ) {
+	const xml = [ '<?xml version="1.0" encoding="utf-8"?>', '<custom_gcodes_per_layer>', '<plate>', '<plate_info id="1"/>' ];
 
-		xml += '\t\t\t\t\t<triangle v1="' + i + '" v2="' + ( i + 1 ) + '" v3="' + ( i + 2 ) + '"/>\n';
+	changes.forEach( function ( change ) {
 
-	}
+		xml.push( '<layer top_z="' + formatNumber( change.z ) + '" type="0" extruder="1" color="' + change.color + '" extra="" gcode="M600"/>' );
+
+	} );
+
+	xml.push( '<mode value="SingleExtruder"/>', '</plate>', '</custom_gcodes_per_layer>', '' );
+
+	return xml.join( '\n' );
+
+}
+
+function formatNumber( value ) {
+
+	// Six decimals, nanometres in millimetre units, is exact enough for
+	// vertices and transforms alike and keeps the model part compact.
+	const rounded = Math.round( value * 1e6 ) / 1e6;
+	return rounded === 0 ? '0' : rounded.toFixed( 6 ).replace( /\.?0+$/, '' );
+
+}
 
-	xml += '\t\t\t\t</triangles>\n' +
-		'\t\t\t</mesh>\n' +
-	'\t\t</object>\n';
+function escapeXML( value ) {
 
-	return xml;
+	return String( value )
+		.replace( /&/g, '&amp;' )
+		.replace( /</g, '&lt;' )
+		.replace( />/g, '&gt;' )
+		.replace( /"/g, '&quot;' );
 
 }
 
-export { _3MFExporter };
\ No newline at end of file
+export { _3MFExporter };
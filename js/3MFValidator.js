@@ -0,0 +1,344 @@
+/**
+ * Checks a 3MF model description and its OPC package parts against the
+ * rules of the 3MF core specification that slicers actually enforce.
+ *
+ * Each issue is reported as { severity: 'error' | 'warning', message }.
+ * Errors are spec violations; warnings are legal but likely to need repair.
+ */
+
+const UNITS = [ 'micron', 'millimeter', 'centimeter', 'inch', 'foot', 'meter' ];
+const OBJECT_TYPES = [ 'model', 'solidsupport', 'support', 'surface', 'other' ];
+
+const CONTENT_TYPES_PATH = '[Content_Types].xml';
+const ROOT_RELS_PATH = '_rels/.rels';
+const MODEL_REL_TYPE = 'http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel';
+const MODEL_CONTENT_TYPE = 'application/vnd.ms-package.3dmanufacturing-3dmodel+xml';
+
+function validate3MF( model, parts ) {
+
+	const issues = [];
+
+	function error( message ) {
+
+		issues.push( { severity: 'error', message: message } );
+
+	}
+
+	function warning( message ) {
+
+		issues.push( { severity: 'warning', message: message } );
+
+	}
+
+	validateModel( model, error, warning );
+
+	if ( parts ) validatePackage( parts, error );
+
+	return issues;
+
+}
+
+function validateModel( model, error, warning ) {
+
+	if ( UNITS.indexOf( model.unit ) === - 1 ) {
+
+		error( 'Model unit "' + model.unit + '" is not a valid 3MF unit.' );
+
+	}
+
+	const resourceIds = new Map();
+
+	function registerResource( id, kind ) {
+
+		if ( ! Number.isInteger( id ) || id < 1 ) {
+
+			error( kind + ' id "' + id + '" must be a positive integer.' );
+
+		} else if ( resourceIds.has( id ) ) {
+
+			error( kind + ' id ' + id + ' is already used by another resource.' );
+
+		}
+
+		resourceIds.set( id, kind );
+
+	}
+
+	const baseMaterials = model.baseMaterials || [];
+
+	for ( let i = 0; i < baseMaterials.length; i ++ ) {
+
+		const group = baseMaterials[ i ];
+
+		registerResource( group.id, 'basematerials' );
+
+		if ( group.materials.length === 0 ) {
+
+			error( 'basematerials ' + group.id + ' has no <base> elements.' );
+
+		}
+
+		for ( let j = 0; j < group.materials.length; j ++ ) {
+
+			if ( ! /^#[0-9A-Fa-f]{6}([0-9A-Fa-f]{2})?$/.test( group.materials[ j ].displaycolor ) ) {
+
+				error( 'basematerials ' + group.id + ' entry ' + j + ' has an invalid displaycolor.' );
+
+			}
+
+		}
+
+	}
+
+	const objects = model.objects || [];
+
+	for ( let i = 0; i < objects.length; i ++ ) {
+
+		const object = objects[ i ];
+
+		registerResource( object.id, 'object' );
+
+		if ( OBJECT_TYPES.indexOf( object.type ) === - 1 ) {
+
+			error( 'object ' + object.id + ' has invalid type "' + object.type + '".' );
+
+		}
+
+		if ( object.pid !== undefined ) {
+
+			const group = baseMaterials.find( g => g.id === object.pid );
+
+			if ( group === undefined ) {
+
+				error( 'object ' + object.id + ' references missing property group ' + object.pid + '.' );
+
+			} else if ( ! ( object.pindex >= 0 && object.pindex < group.materials.length ) ) {
+
+				error( 'object ' + object.id + ' has pindex ' + object.pindex + ' outside basematerials ' + object.pid + '.' );
+
+			}
+
+		}
+
+		validateMesh( object, error, warning );
+
+	}
+
+	const items = model.items || [];
+
+	if ( items.length === 0 ) {
+
+		warning( 'The build contains no items, so slicers will load an empty plate.' );
+
+	}
+
+	for ( let i = 0; i < items.length; i ++ ) {
+
+		const item = items[ i ];
+		const object = objects.find( o => o.id === item.objectid );
+
+		if ( object === undefined ) {
+
+			error( 'Build item ' + i + ' references missing object ' + item.objectid + '.' );
+
+		} else if ( object.type === 'other' ) {
+
+			error( 'Build item ' + i + ' references object ' + item.objectid + ' of type "other".' );
+
+		}
+
+		if ( item.transform !== undefined ) {
+
+			if ( item.transform.length !== 12 || ! item.transform.every( Number.isFinite ) ) {
+
+				error( 'Build item ' + i + ' has a malformed transform.' );
+
+			}
+
+		}
+
+	}
+
+}
+
+function validateMesh( object, error, warning ) {
+
+	const vertices = object.vertices;
+	const triangles = object.triangles;
+	const vertexCount = vertices.length / 3;
+
+	if ( vertexCount < 3 || triangles.length < 3 ) {
+
+		error( 'object ' + object.id + ' has an empty mesh.' );
+		return;
+
+	}
+
+	for ( let i = 0; i < vertices.length; i ++ ) {
+
+		if ( ! Number.isFinite( vertices[ i ] ) ) {
+
+			error( 'object ' + object.id + ' has a non-finite vertex coordinate.' );
+			break;
+
+		}
+
+	}
+
+	const edges = new Map();
+	let badTriangles = 0;
+
+	for ( let i = 0; i < triangles.length; i += 3 ) {
+
+		const a = triangles[ i ], b = triangles[ i + 1 ], c = triangles[ i + 2 ];
+
+		if ( ! ( a >= 0 && a < vertexCount && b >= 0 && b < vertexCount && c >= 0 && c < vertexCount ) ) {
+
+			error( 'object ' + object.id + ' triangle ' + ( i / 3 ) + ' references a vertex out of range.' );
+			return;
+
+		}
+
+		if ( a === b || b === c || c === a ) {
+
+			badTriangles ++;
+			continue;
+
+		}
+
+		countEdge( edges, a, b );
+		countEdge( edges, b, c );
+		countEdge( edges, c, a );
+
+	}
+
+	if ( badTriangles > 0 ) {
+
+		error( 'object ' + object.id + ' has ' + badTriangles + ' triangle(s) with repeated vertex indices.' );
+
+	}
+
+	if ( object.type === 'model' ) {
+
+		let openEdges = 0;
+
+		edges.forEach( function ( count ) {
+
+			if ( count !== 2 ) openEdges ++;
+
+		} );
+
+		if ( openEdges > 0 ) {
+
+			warning( 'object ' + object.id + ( object.name ? ' (' + object.name + ')' : '' ) + ' is not closed: ' + openEdges + ' edge(s) are not shared by exactly two triangles.' );
+
+		}
+
+	}
+
+}
+
+function countEdge( edges, a, b ) {
+
+	const key = a < b ? a + '_' + b : b + '_' + a;
+	edges.set( key, ( edges.get( key ) || 0 ) + 1 );
+
+}
+
+function validatePackage( parts, error ) {
+
+	const contentTypes = parts[ CONTENT_TYPES_PATH ];
+	const rels = parts[ ROOT_RELS_PATH ];
+
+	if ( contentTypes === undefined ) {
+
+		error( 'Package is missing ' + CONTENT_TYPES_PATH + '.' );
+		return;
+
+	}
+
+	if ( rels === undefined ) {
+
+		error( 'Package is missing ' + ROOT_RELS_PATH + '.' );
+		return;
+
+	}
+
+	const defaults = {};
+
+	findElements( contentTypes, 'Default' ).forEach( function ( attributes ) {
+
+		if ( attributes.Extension ) defaults[ attributes.Extension.toLowerCase() ] = attributes.ContentType;
+
+	} );
+
+	Object.keys( parts ).forEach( function ( path ) {
+
+		if ( path === CONTENT_TYPES_PATH ) return;
+
+		const extension = path.split( '.' ).pop().toLowerCase();
+
+		if ( defaults[ extension ] === undefined ) {
+
+			error( 'Part "' + path + '" has no content type in ' + CONTENT_TYPES_PATH + '.' );
+
+		}
+
+	} );
+
+	const modelTargets = findElements( rels, 'Relationship' )
+		.filter( attributes => attributes.Type === MODEL_REL_TYPE )
+		.map( attributes => ( attributes.Target || '' ).replace( /^\//, '' ) );
+
+	if ( modelTargets.length !== 1 ) {
+
+		error( ROOT_RELS_PATH + ' must contain exactly one 3D model relationship, found ' + modelTargets.length + '.' );
+		return;
+
+	}
+
+	const modelPath = modelTargets[ 0 ];
+
+	if ( parts[ modelPath ] === undefined ) {
+
+		error( 'The 3D model relationship targets missing part "/' + modelPath + '".' );
+
+	} else if ( defaults[ modelPath.split( '.' ).pop().toLowerCase() ] !== MODEL_CONTENT_TYPE ) {
+
+		error( 'Part "/' + modelPath + '" does not have the 3D model content type.' );
+
+	} else if ( parts[ modelPath ].indexOf( 'xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02"' ) === - 1 ) {
+
+		error( 'Part "/' + modelPath + '" does not declare the 3MF core namespace.' );
+
+	}
+
+}
+
+function findElements( xml, tagName ) {
+
+	const elements = [];
+	const elementPattern = new RegExp( '<' + tagName + '\\s([^>]*)>', 'g' );
+	const attributePattern = /([\w:]+)="([^"]*)"/g;
+	let element;
+
+	while ( ( element = elementPattern.exec( xml ) ) !== null ) {
+
+		const attributes = {};
+		let attribute;
+
+		while ( ( attribute = attributePattern.exec( element[ 1 ] ) ) !== null ) {
+
+			attributes[ attribute[ 1 ] ] = attribute[ 2 ];
+
+		}
+
+		elements.push( attributes );
+
+	}
+
+	return elements;
+
+}
+
+export { validate3MF };
@@ -0,0 +1,215 @@
+import { parseLength } from './osm.js';
+
+// Levels assumed for buildings tagged with neither a height nor levels, by
+// building value; other untagged buildings get the style's default height
+const typicalLevels = {
+    carport: 1, garage: 1, garages: 1, hut: 1, kiosk: 1, roof: 1, shed: 1,
+    bungalow: 1, cabin: 1, retail: 1, supermarket: 1, service: 1,
+    house: 2, detached: 2, semidetached_house: 2, terrace: 2, farm: 2, barn: 2,
+    industrial: 2, warehouse: 2, school: 2, church: 4,
+    commercial: 3, residential: 3, university: 3, civic: 3, public: 3,
+    apartments: 4, dormitory: 4, office: 4, hospital: 4, hotel: 5, cathedral: 8
+};
+
+const roofShapes = ['gabled', 'hipped', 'pyramidal', 'dome', 'skillion'];
+
+/**
+ * Heights of a building or building part in metres: `height` to the top of
+ * the roof, `minHeight` where a raised part starts and `roof`, for the shapes
+ * modelled, { shape, height, frame }. `outers` are the outer rings in scene
+ * coordinates (metres, x east and z south); `options` holds the style's
+ * defaultHeightM and levelHeightM.
+ */
+export function buildingHeights(tags, outers, { defaultHeightM, levelHeightM }) {
+    const levels = parseFloat(tags['building:levels']);
+    const roofLevels = parseFloat(tags['roof:levels']);
+    const shape = roofShapes.includes(tags['roof:shape']) ? tags['roof:shape'] : null;
+    const frame = shape && roofFrame(tags, outers.flat());
+
+    let roofHeight = 0;
+    if (frame) {
+        roofHeight = parseLength(tags['roof:height']);
+        if (!(roofHeight >= 0) && roofLevels >= 0) roofHeight = roofLevels * levelHeightM;
+        if (!(roofHeight >= 0)) roofHeight = defaultRoofHeight(shape, frame);
+    }
+
+    // A tagged height includes the roof; levels count the walls only
+    let height = parseLength(tags.height);
+    if (!(height > 0)) {
+        const wallLevels = levels >= 0 ? levels : typicalLevels[tags.building] || typicalLevels[tags['building:part']];
+        height = (wallLevels > 0 ? wallLevels * levelHeightM : defaultHeightM) + roofHeight;
+    }
+
+    let minHeight = parseLength(tags.min_height);
+    if (minHeight === undefined && tags['building:min_level']) {
+        const minLevel = parseFloat(tags['building:min_level']);
+        if (!isNaN(minLevel)) minHeight = minLevel * levelHeightM;
+    }
+    minHeight = Math.min(Math.max(minHeight || 0, 0), height);
+
+    // Keep some wall below a roof that is tagged taller than the building
+    roofHeight = Math.min(roofHeight, 0.75 * (height - minHeight));
+
+    return { height, minHeight, roof: frame && roofHeight > 0 ? { shape, height: roofHeight, frame } : null };
+}
+
+// Roughly 30° pitches, a hemispherical dome and a 15° skillion
+function defaultRoofHeight(shape, { halfLength, halfWidth }) {
+    switch (shape) {
+        case 'dome': return Math.min(halfLength, halfWidth);
+        case 'skillion': return 2 * halfWidth * Math.tan(15 * Math.PI / 180);
+        default: return halfWidth * Math.tan(30 * Math.PI / 180);
+    }
+}
+
+/**
+ * The roof as facets: { ring, rise(x, z) }, where `ring` is a scene-coordinate
+ * outline larger than the footprint, to be intersected with it, and rise
+ * goes from 0 at the eaves to 1 at the top. The rises of neighbouring facets
+ * meet along the ridges and hips.
+ */
+export function roofFacets({ shape, frame }) {
+    const { centre, axis, halfLength: L, halfWidth: W } = frame;
+    const toScene = ([u, v]) => ({ x: centre.x + u * axis.x - v * axis.z, z: centre.z + u * axis.z + v * axis.x });
+    const toLocal = (x, z) => {
+        const dx = x - centre.x, dz = z - centre.z;
+        return [dx * axis.x + dz * axis.z, dz * axis.x - dx * axis.z];
+    };
+    const facet = (corners, rise) => ({
+        ring: corners.map(toScene),
+        rise: (x, z) => Math.min(1, Math.max(0, rise(...toLocal(x, z))))
+    });
+
+    // Facets reach past the footprint along their ridge and hip lines
+    const margin = 0.05 * (L + W) + 1;
+    const Lm = L + margin, Wm = W + margin;
+    const acrossRise = (u, v) => 1 - Math.abs(v) / W;
+
+    switch (shape) {
+        case 'gabled':
+            return [
+                facet([[-Lm, -Wm], [Lm, -Wm], [Lm, 0], [-Lm, 0]], acrossRise),
+                facet([[-Lm, 0], [Lm, 0], [Lm, Wm], [-Lm, Wm]], acrossRise)
+            ];
+        case 'hipped': {
+            // The ridge runs between the points where the hips meet; the
+            // frame's length is never shorter than its width
+            const d = L - W;
+            const endRise = (u, v) => (L - Math.abs(u)) / W;
+            const sideRise = acrossRise;
+            const run = Wm;
+            return [
+                facet(dedupe([[-d - run, -run], [d + run, -run], [d, 0], [-d, 0]]), sideRise),
+                facet(dedupe([[-d, 0], [d, 0], [d + run, run], [-d - run, run]]), sideRise),
+                facet([[d, 0], [d + run, -run], [d + run, run]], endRise),
+                facet([[-d, 0], [-d - run, run], [-d - run, -run]], endRise)
+            ];
+        }
+        case 'pyramidal': {
+            const k = Lm / L;
+            const sideRise = acrossRise;
+            const endRise = (u, v) => 1 - Math.abs(u) / L;
+            return [
+                facet([[0, 0], [-L * k, -W * k], [L * k, -W * k]], sideRise),
+                facet([[0, 0], [L * k, W * k], [-L * k, W * k]], sideRise),
+                facet([[0, 0], [L * k, -W * k], [L * k, W * k]], endRise),
+                facet([[0, 0], [-L * k, W * k], [-L * k, -W * k]], endRise)
+            ];
+        }
+        case 'skillion':
+            // High along -v, sloping down towards roof:direction at +v
+            return [facet([[-Lm, -Wm], [Lm, -Wm], [Lm, Wm], [-Lm, Wm]], (u, v) => (W - v) / (2 * W))];
+        case 'dome': {
+            const dome = facet([[-Lm, -Wm], [Lm, -Wm], [Lm, Wm], [-Lm, Wm]],
+                (u, v) => Math.sqrt(Math.max(0, 1 - (u / L) ** 2 - (v / W) ** 2)));
+            dome.spacing = Math.min(L, W) / 4;
+            return [dome];
+        }
+        default:
+            return [];
+    }
+}
+
+function dedupe(corners) {
+    return corners.filter((p, i) => {
+        const q = corners[(i + 1) % corners.length];
+        return p[0] !== q[0] || p[1] !== q[1];
+    });
+}
+
+/**
+ * The rectangle a roof is laid out in: centre, unit `axis` along the ridge
+ * and half extents along and across it. The ridge follows the longer side of
+ * the smallest enclosing rectangle, or the shorter one for gabled roofs with
+ * roof:orientation=across; a roof:direction sets which way a skillion faces.
+ */
+function roofFrame(tags, points) {
+    const hull = convexHull(points);
+    if (hull.length < 3) return null;
+
+    const direction = parseDirection(tags['roof:direction']);
+    if (direction !== undefined && tags['roof:shape'] === 'skillion') {
+        // Down the slope is (sin, -cos) in scene axes; the ridge is square to it
+        const bearing = direction * Math.PI / 180;
+        return frameAlong(hull, { x: -Math.cos(bearing), z: -Math.sin(bearing) });
+    }
+
+    let best = null;
+    hull.forEach((p, i) => {
+        const q = hull[(i + 1) % hull.length];
+        const length = Math.hypot(q.x - p.x, q.z - p.z);
+        if (length === 0) return;
+        const frame = frameAlong(hull, { x: (q.x - p.x) / length, z: (q.z - p.z) / length });
+        if (!best || frame.halfLength * frame.halfWidth < best.halfLength * best.halfWidth) best = frame;
+    });
+
+    const across = tags['roof:orientation'] === 'across' && tags['roof:shape'] === 'gabled';
+    if ((best.halfLength < best.halfWidth) !== across) {
+        return { centre: best.centre, axis: { x: -best.axis.z, z: best.axis.x }, halfLength: best.halfWidth, halfWidth: best.halfLength };
+    }
+    return best;
+}
+
+function frameAlong(points, axis) {
+    let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+    points.forEach(p => {
+        const u = p.x * axis.x + p.z * axis.z;
+        const v = p.z * axis.x - p.x * axis.z;
+        minU = Math.min(minU, u); maxU = Math.max(maxU, u);
+        minV = Math.min(minV, v); maxV = Math.max(maxV, v);
+    });
+    const u = (minU + maxU) / 2, v = (minV + maxV) / 2;
+    return {
+        centre: { x: u * axis.x - v * axis.z, z: u * axis.z + v * axis.x },
+        axis,
+        halfLength: (maxU - minU) / 2,
+        halfWidth: (maxV - minV) / 2
+    };
+}
+
+// Andrew's monotone chain
+function convexHull(points) {
+    const sorted = points.slice().sort((a, b) => a.x - b.x || a.z - b.z);
+    const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+    const half = list => {
+        const hull = [];
+        list.forEach(p => {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+            hull.push(p);
+        });
+        hull.pop();
+        return hull;
+    };
+    return half(sorted).concat(half(sorted.reverse()));
+}
+
+const compassPoints = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+// Degrees clockwise from north, from "135" or "SE"
+function parseDirection(value) {
+    if (value === undefined) return undefined;
+    const index = compassPoints.indexOf(String(value).trim().toUpperCase());
+    if (index >= 0) return index * 22.5;
+    const degrees = parseFloat(value);
+    return Number.isFinite(degrees) ? degrees : undefined;
+}
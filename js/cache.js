@@ -0,0 +1,54 @@
+// Downloaded map data kept in IndexedDB, so regenerating an area does not
+// fetch it again. Caching is best effort: without IndexedDB (private windows,
+// Node) or when it fails, reads miss and writes are dropped.
+
+const DATABASE_NAME = 'map-to-model';
+const STORE_NAME = 'responses';
+
+// Entries older than this miss, so edits on OpenStreetMap come through
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+let database = null;
+
+function openDatabase() {
+    if (!database) {
+        database = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DATABASE_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return database;
+}
+
+function withStore(mode, action) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = action(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    }));
+}
+
+// Resolves to the stored value, or undefined when there is none or it has
+// grown too old
+export function readCache(key) {
+    return withStore('readonly', store => store.get(key))
+        .then(entry => entry && Date.now() - entry.stored < MAX_AGE_MS ? entry.value : undefined)
+        .catch(() => undefined);
+}
+
+export function writeCache(key, value) {
+    return withStore('readwrite', store => store.put({ value, stored: Date.now() }, key))
+        .then(() => undefined)
+        .catch(error => console.warn('Could not cache map data:', error));
+}
+
+export function clearCache() {
+    return withStore('readwrite', store => store.clear()).then(() => undefined);
+}
@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+import polygonClipping from 'polygon-clipping';
+
+// Geometry here works on the ground plane: the x and z of THREE.Vector3 points.
+
+function toRing(points) {
+    const ring = points.map(p => [snap(p.x), snap(p.z)]);
+    ring.push(ring[0]);
+    return ring;
+}
+
+// polygon-clipping fails on nearly coincident vertices such as 1e-16 beside 0,
+// so coordinates are snapped to a tenth of a millimetre
+function snap(value) {
+    return Math.round(value * 1e4) / 1e4;
+}
+
+function fromRing(ring) {
+    return ring.slice(0, -1).map(([x, z]) => new THREE.Vector3(x, 0, z));
+}
+
+// Polygons are { outer, holes } with rings as arrays of points
+
+function toGeometry(polygon) {
+    return [toRing(polygon.outer)].concat(polygon.holes.filter(hole => hole.length >= 3).map(toRing));
+}
+
+function fromGeometry(multiPolygon) {
+    return multiPolygon.map(polygon => ({
+        outer: fromRing(polygon[0]),
+        holes: polygon.slice(1).map(fromRing)
+    }));
+}
+
+/**
+ * Intersects a polygon (outer ring plus optional holes) with the selection
+ * outline. Returns the pieces that remain as { outer, holes } rings.
+ */
+export function clipPolygonToOutline(outer, holes, outline) {
+    if (outer.length < 3) return [];
+    return fromGeometry(polygonClipping.intersection(toGeometry({ outer, holes }), [toRing(outline)]));
+}
+
+// Merges overlapping polygons into disjoint ones
+export function unionPolygons(polygons) {
+    const geometries = polygons.filter(polygon => polygon.outer.length >= 3).map(toGeometry);
+    if (geometries.length === 0) return [];
+    return fromGeometry(polygonClipping.union(...geometries));
+}
+
+// The parts of `polygons` not covered by `cutters`
+export function subtractPolygons(polygons, cutters) {
+    const subject = polygons.filter(polygon => polygon.outer.length >= 3).map(toGeometry);
+    const clip = cutters.filter(polygon => polygon.outer.length >= 3).map(toGeometry);
+    if (subject.length === 0) return [];
+    if (clip.length === 0) return fromGeometry(polygonClipping.union(...subject));
+    return fromGeometry(polygonClipping.difference(subject, ...clip));
+}
+
+/**
+ * Outlines a polyline `width` wide as polygons with round joins and ends.
+ * Crossings and overlaps are merged, so ribbons meet without gaps.
+ */
+export function bufferPolyline(points, width, joinSegments = 12) {
+    const halfWidth = width / 2;
+    const pieces = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i], b = points[i + 1];
+        const length = Math.hypot(b.x - a.x, b.z - a.z);
+        if (length === 0) continue;
+
+        const nx = -(b.z - a.z) / length * halfWidth;
+        const nz = (b.x - a.x) / length * halfWidth;
+        pieces.push({
+            outer: [
+                new THREE.Vector3(a.x + nx, 0, a.z + nz),
+                new THREE.Vector3(b.x + nx, 0, b.z + nz),
+                new THREE.Vector3(b.x - nx, 0, b.z - nz),
+                new THREE.Vector3(a.x - nx, 0, a.z - nz)
+            ],
+            holes: []
+        });
+    }
+
+    points.forEach(p => {
+        const circle = [];
+        for (let k = 0; k < joinSegments; k++) {
+            const angle = 2 * Math.PI * k / joinSegments;
+            circle.push(new THREE.Vector3(p.x + Math.cos(angle) * halfWidth, 0, p.z + Math.sin(angle) * halfWidth));
+        }
+        pieces.push({ outer: circle, holes: [] });
+    });
+
+    return unionPolygons(pieces);
+}
+
+// Inserts points so no segment is longer than maxLength, letting draped
+// features follow the terrain between the original vertices
+export function densifyPolyline(points, maxLength) {
+    if (!Number.isFinite(maxLength) || maxLength <= 0) return points;
+    const result = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1], b = points[i];
+        const steps = Math.ceil(Math.hypot(b.x - a.x, b.z - a.z) / maxLength);
+        for (let k = 1; k < steps; k++) result.push(a.clone().lerp(b, k / steps));
+        result.push(b);
+    }
+    return result;
+}
+
+/**
+ * Douglas–Peucker simplification: the points of a polyline or a closed ring
+ * (first point repeated at the end) that keep every dropped point within
+ * `tolerance` of the line. The first and last points always stay.
+ */
+export function simplifyPolyline(points, tolerance) {
+    if (!(tolerance > 0) || points.length <= 2) return points;
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const spans = [[0, points.length - 1]];
+    while (spans.length > 0) {
+        const [first, last] = spans.pop();
+        let farthest = -1, farthestDistance = tolerance;
+        for (let i = first + 1; i < last; i++) {
+            const distance = distanceToSegment(points[i], points[first], points[last]);
+            if (distance > farthestDistance) {
+                farthest = i;
+                farthestDistance = distance;
+            }
+        }
+        if (farthest >= 0) {
+            keep[farthest] = 1;
+            spans.push([first, farthest], [farthest, last]);
+        }
+    }
+    return points.filter((p, i) => keep[i]);
+}
+
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x, dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.z - a.z) * dz) / lengthSq)) : 0;
+    return Math.hypot(p.x - (a.x + t * dx), p.z - (a.z + t * dz));
+}
+
+export function pointInPolygon(x, z, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i], b = polygon[j];
+        if ((a.z > z) !== (b.z > z) && x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Distance from a point to the nearest edge of a closed polygon
+export function distanceToOutline(x, z, polygon) {
+    let best = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        best = Math.min(best, distanceToSegment({ x, z }, polygon[j], polygon[i]));
+    }
+    return best;
+}
+
+// Distance from a point to the nearest segment of an open polyline
+export function distanceToPolyline(x, z, points) {
+    let best = Infinity;
+    for (let i = 1; i < points.length; i++) {
+        best = Math.min(best, distanceToSegment({ x, z }, points[i - 1], points[i]));
+    }
+    return best;
+}
+
+// Area of a polygon's outer ring less its holes
+export function polygonArea({ outer, holes }) {
+    const area = ring => Math.abs(ringArea(toRing(ring)));
+    return area(outer) - holes.reduce((sum, hole) => sum + area(hole), 0);
+}
+
+/**
+ * Turns a possibly self-intersecting ring (e.g. a freehand sketch) into a
+ * simple one by keeping the largest region it encloses.
+ */
+export function simplifyOutline(points) {
+    const polygons = polygonClipping.union([toRing(points)]);
+    let best = null, bestArea = 0;
+    polygons.forEach(polygon => {
+        const area = Math.abs(ringArea(polygon[0]));
+        if (area > bestArea) {
+            best = polygon[0];
+            bestArea = area;
+        }
+    });
+    return best ? fromRing(best) : [];
+}
+
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area / 2;
+}
+
+/**
+ * The outline shrunk by `distance`, as a ring, for features that must keep
+ * clear of a border. Keeps the largest piece when the outline pinches off.
+ */
+export function insetOutline(points, distance) {
+    const border = bufferPolyline(points.concat([points[0]]), 2 * distance);
+    let best = null, bestArea = 0;
+    subtractPolygons([{ outer: points, holes: [] }], border).forEach(polygon => {
+        const area = Math.abs(ringArea(toRing(polygon.outer)));
+        if (area > bestArea) {
+            best = polygon.outer;
+            bestArea = area;
+        }
+    });
+    return best || [];
+}
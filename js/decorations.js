@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+import { unionPolygons, pointInPolygon } from './clipping.js';
+
+// Decorations on the base plate: a title, a north arrow and a scale bar, laid
+// out in scene coordinates (metres, x east and z south) inside the outline.
+// Text comes from a three.js typeface font, bundled so it works offline.
+
+const PADDING_MM = 1.5;
+
+/**
+ * Places the enabled decorations inside `outline`, keeping them clear of its
+ * edge and of each other. `sceneScale` is metres per printed mm; `font` is a
+ * THREE.Font, without which the lettering is left out; `rotation` is the
+ * model's rotation from buildModel, which the north arrow follows.
+ * Returns { title, marks, reserved }: the title polygons (raised or engraved
+ * by the caller), the polygons of the arrow and scale bar, and the plaques
+ * around each decoration that map features should keep out of.
+ */
+export function layoutDecorations(outline, { title, textSizeMM, northArrow, scaleBar }, { font, sceneScale, rotation = 0 }) {
+    const xs = outline.map(p => p.x), zs = outline.map(p => p.z);
+    const bounds = { minX: Math.min(...xs), maxX: Math.max(...xs), minZ: Math.min(...zs), maxZ: Math.max(...zs) };
+    const centreX = (bounds.minX + bounds.maxX) / 2, centreZ = (bounds.minZ + bounds.maxZ) / 2;
+    const textSize = textSizeMM * sceneScale;
+    const padding = PADDING_MM * sceneScale;
+    const margin = 2 * sceneScale;
+
+    const result = { title: [], marks: [], reserved: [] };
+    const placed = [];
+
+    // Slides a decoration from a start position towards the centre until its
+    // plaque fits inside the outline without overlapping the others
+    const place = (polygons, startX, startZ) => {
+        if (polygons.length === 0) return null;
+        const box = polygonBounds(polygons);
+        const steps = 40;
+        for (let i = 0; i <= steps; i++) {
+            const x = startX + (centreX - startX) * i / steps;
+            const z = startZ + (centreZ - startZ) * i / steps;
+            const plaque = {
+                minX: x + box.minX - padding, maxX: x + box.maxX + padding,
+                minZ: z + box.minZ - padding, maxZ: z + box.maxZ + padding
+            };
+            const corners = [[plaque.minX, plaque.minZ], [plaque.maxX, plaque.minZ], [plaque.maxX, plaque.maxZ], [plaque.minX, plaque.maxZ]];
+            if (!corners.every(([cx, cz]) => pointInPolygon(cx, cz, outline))) continue;
+            if (placed.some(other => other.minX < plaque.maxX && plaque.minX < other.maxX && other.minZ < plaque.maxZ && plaque.minZ < other.maxZ)) continue;
+
+            placed.push(plaque);
+            result.reserved.push({ outer: corners.map(([cx, cz]) => new THREE.Vector3(cx, 0, cz)), holes: [] });
+            return polygons.map(polygon => translatePolygon(polygon, x, z));
+        }
+        return null;
+    };
+
+    // Each decoration is centred on its own origin before it is placed
+    if (title && font) {
+        const text = centre(textPolygons(font, title, textSize));
+        const box = polygonBounds(text);
+        const fitted = place(text, centreX, bounds.maxZ - margin - box.maxZ - padding);
+        if (fitted) result.title = fitted;
+    }
+
+    if (northArrow) {
+        const arrow = centre(northArrowPolygons(2 * textSize, font).map(polygon => rotatePolygon(polygon, rotation)));
+        const box = polygonBounds(arrow);
+        const fitted = place(arrow, bounds.maxX - margin - box.maxX - padding, bounds.minZ + margin - box.minZ + padding);
+        if (fitted) result.marks.push(...fitted);
+    }
+
+    if (scaleBar) {
+        const length = niceLength((bounds.maxX - bounds.minX) / 4);
+        const bar = centre(scaleBarPolygons(length, textSize, font));
+        const box = polygonBounds(bar);
+        const fitted = place(bar, bounds.minX + margin - box.minX + padding, bounds.maxZ - margin - box.maxZ - padding);
+        if (fitted) result.marks.push(...fitted);
+    }
+
+    return result;
+}
+
+/**
+ * The default title: the centre of the selection in degrees, such as
+ * "53.5444° N, 113.4909° W".
+ */
+export function coordinateTitle(lat, lon) {
+    return `${Math.abs(lat).toFixed(4)}° ${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(4)}° ${lon >= 0 ? 'E' : 'W'}`;
+}
+
+// The longest 1, 2 or 5 × 10ⁿ metres that fits in maxLength
+function niceLength(maxLength) {
+    const power = Math.pow(10, Math.floor(Math.log10(maxLength)));
+    return [5, 2, 1].map(step => step * power).find(length => length <= maxLength) || power;
+}
+
+function distanceLabel(metres) {
+    return metres >= 1000 ? `${metres / 1000} km` : `${metres} m`;
+}
+
+// Glyph outlines with their holes, turned from the font's y-up plane so the
+// top of the text faces north
+function textPolygons(font, text, size) {
+    const polygons = font.generateShapes(text, size).map(shape => {
+        const { shape: outer, holes } = shape.extractPoints(4);
+        return { outer: outer.map(toScene), holes: holes.map(hole => hole.map(toScene)) };
+    });
+    return unionPolygons(polygons);
+}
+
+// An arrowhead pointing north with an N above it
+function northArrowPolygons(size, font) {
+    const arrow = [[0, size], [size * 0.4, 0], [0, size * 0.25], [-size * 0.4, 0]];
+    const polygons = [{ outer: arrow.map(([x, y]) => toScene({ x, y })), holes: [] }];
+    if (font) {
+        const letter = centre(textPolygons(font, 'N', size * 0.45));
+        const box = polygonBounds(letter);
+        polygons.push(...letter.map(polygon => translatePolygon(polygon, 0, -size - size * 0.15 - box.maxZ)));
+    }
+    return polygons;
+}
+
+// A bar `length` metres long with end ticks and its length written above
+function scaleBarPolygons(length, textSize, font) {
+    const height = textSize * 0.25;
+    const tick = height * 0.6;
+    const rectangle = (x0, y0, x1, y1) => ({
+        outer: [[x0, y0], [x1, y0], [x1, y1], [x0, y1]].map(([x, y]) => toScene({ x, y })),
+        holes: []
+    });
+    const polygons = unionPolygons([
+        rectangle(0, 0, length, height),
+        rectangle(0, 0, tick, height * 2.5),
+        rectangle(length - tick, 0, length, height * 2.5)
+    ]);
+    if (font) {
+        const label = centre(textPolygons(font, distanceLabel(length), textSize * 0.7));
+        const box = polygonBounds(label);
+        polygons.push(...label.map(polygon => translatePolygon(polygon, length / 2, -height * 3 - box.maxZ)));
+    }
+    return polygons;
+}
+
+function toScene(p) {
+    return new THREE.Vector3(p.x, 0, -p.y);
+}
+
+function polygonBounds(polygons) {
+    const box = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    polygons.forEach(polygon => polygon.outer.forEach(p => {
+        box.minX = Math.min(box.minX, p.x); box.maxX = Math.max(box.maxX, p.x);
+        box.minZ = Math.min(box.minZ, p.z); box.maxZ = Math.max(box.maxZ, p.z);
+    }));
+    return box;
+}
+
+function centre(polygons) {
+    if (polygons.length === 0) return polygons;
+    const box = polygonBounds(polygons);
+    return polygons.map(polygon => translatePolygon(polygon, -(box.minX + box.maxX) / 2, -(box.minZ + box.maxZ) / 2));
+}
+
+// Turns a polygon about the origin the way the map was turned
+function rotatePolygon(polygon, degrees) {
+    const cos = Math.cos(degrees * Math.PI / 180), sin = Math.sin(degrees * Math.PI / 180);
+    const turn = p => new THREE.Vector3(p.x * cos - p.z * sin, 0, p.x * sin + p.z * cos);
+    return { outer: polygon.outer.map(turn), holes: polygon.holes.map(hole => hole.map(turn)) };
+}
+
+function translatePolygon(polygon, x, z) {
+    const move = p => new THREE.Vector3(p.x + x, 0, p.z + z);
+    return { outer: polygon.outer.map(move), holes: polygon.holes.map(hole => hole.map(move)) };
+}
@@ -0,0 +1,381 @@
+import { unzlibSync } from 'fflate';
+
+/**
+ * A regular lat/lon elevation grid. Sample (0, 0) is the north-west sample,
+ * centred at (north, west); rows run south and columns run east in steps of
+ * dy / dx degrees.
+ */
+export class ElevationGrid {
+    constructor({ width, height, west, north, dx, dy, data, noData }) {
+        this.width = width;
+        this.height = height;
+        this.west = west;
+        this.north = north;
+        this.dx = dx;
+        this.dy = dy;
+        this.data = data;
+        this.noData = noData;
+    }
+
+    get south() {
+        return this.north - (this.height - 1) * this.dy;
+    }
+
+    get east() {
+        return this.west + (this.width - 1) * this.dx;
+    }
+
+    contains(lat, lon) {
+        return lat <= this.north && lat >= this.south && lon >= this.west && lon <= this.east;
+    }
+
+    // Bilinear elevation in metres, or undefined outside the grid or on voids
+    sample(lat, lon) {
+        if (!this.contains(lat, lon)) return undefined;
+
+        const col = Math.min((lon - this.west) / this.dx, this.width - 1);
+        const row = Math.min((this.north - lat) / this.dy, this.height - 1);
+        const c0 = Math.floor(col), r0 = Math.floor(row);
+        const c1 = Math.min(c0 + 1, this.width - 1), r1 = Math.min(r0 + 1, this.height - 1);
+        const fc = col - c0, fr = row - r0;
+
+        const corners = [
+            [this.value(r0, c0), (1 - fc) * (1 - fr)],
+            [this.value(r0, c1), fc * (1 - fr)],
+            [this.value(r1, c0), (1 - fc) * fr],
+            [this.value(r1, c1), fc * fr]
+        ];
+
+        // Voids are skipped and the remaining weights renormalized
+        let sum = 0, weight = 0;
+        corners.forEach(([value, w]) => {
+            if (value === undefined) return;
+            sum += value * w;
+            weight += w;
+        });
+        return weight > 0 ? sum / weight : undefined;
+    }
+
+    value(row, col) {
+        const v = this.data[row * this.width + col];
+        return (Number.isNaN(v) || v === this.noData) ? undefined : v;
+    }
+}
+
+/**
+ * Several grids (e.g. adjacent SRTM tiles) sampled as one surface.
+ */
+export class ElevationModel {
+    constructor(grids) {
+        this.grids = grids;
+    }
+
+    sample(lat, lon) {
+        for (const grid of this.grids) {
+            const value = grid.sample(lat, lon);
+            if (value !== undefined) return value;
+        }
+        return undefined;
+    }
+
+    covers(south, west, north, east) {
+        return [[south, west], [south, east], [north, west], [north, east]]
+            .every(([lat, lon]) => this.grids.some(grid => grid.contains(lat, lon)));
+    }
+}
+
+/**
+ * Parses a DEM file by extension: SRTM .hgt, GeoTIFF (.tif/.tiff) or
+ * ESRI ASCII grid (.asc/.txt). Only geographic (lat/lon) grids are supported.
+ */
+export function parseElevationFile(name, buffer) {
+    const extension = name.split('.').pop().toLowerCase();
+    switch (extension) {
+        case 'hgt':
+            return parseHgt(name, buffer);
+        case 'tif':
+        case 'tiff':
+            return parseGeoTiff(buffer);
+        case 'asc':
+        case 'txt':
+            return parseAsciiGrid(new TextDecoder().decode(buffer));
+        default:
+            throw new Error(`Unsupported elevation file "${name}"`);
+    }
+}
+
+// SRTM tiles are square big-endian int16 grids named after their south-west corner
+export function parseHgt(name, buffer) {
+    const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(name);
+    if (!match) throw new Error(`Cannot read the tile position from "${name}", expected e.g. N53W114.hgt`);
+
+    const size = Math.round(Math.sqrt(buffer.byteLength / 2));
+    if (size * size * 2 !== buffer.byteLength) throw new Error(`"${name}" is not a square SRTM tile`);
+
+    const lat = parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+    const lon = parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+    const view = new DataView(buffer);
+    const data = new Float32Array(size * size);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = view.getInt16(i * 2, false);
+    }
+
+    return new ElevationGrid({
+        width: size,
+        height: size,
+        west: lon,
+        north: lat + 1,
+        dx: 1 / (size - 1),
+        dy: 1 / (size - 1),
+        data,
+        noData: -32768
+    });
+}
+
+export function parseAsciiGrid(text) {
+    const tokens = text.trim().split(/\s+/);
+    const header = {};
+    let i = 0;
+    while (i < tokens.length && /^[a-z_]+$/i.test(tokens[i])) {
+        header[tokens[i].toLowerCase()] = parseFloat(tokens[i + 1]);
+        i += 2;
+    }
+
+    const width = header.ncols, height = header.nrows;
+    const dx = header.cellsize !== undefined ? header.cellsize : header.dx;
+    const dy = header.cellsize !== undefined ? header.cellsize : header.dy;
+    if (!width || !height || !dx || !dy) throw new Error('ASCII grid is missing ncols, nrows or cellsize');
+    if (tokens.length - i < width * height) throw new Error('ASCII grid has fewer values than ncols × nrows');
+
+    // Corner registration describes cell edges; samples sit at cell centres
+    const west = header.xllcenter !== undefined ? header.xllcenter : header.xllcorner + dx / 2;
+    const south = header.yllcenter !== undefined ? header.yllcenter : header.yllcorner + dy / 2;
+
+    const data = new Float32Array(width * height);
+    for (let j = 0; j < data.length; j++) {
+        data[j] = parseFloat(tokens[i + j]);
+    }
+
+    return new ElevationGrid({
+        width,
+        height,
+        west,
+        north: south + (height - 1) * dy,
+        dx,
+        dy,
+        data,
+        noData: header.nodata_value
+    });
+}
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// Reads the first band of a single-image GeoTIFF: strips or tiles, stored raw,
+// with Deflate or with LZW, optionally with horizontal-differencing predictor.
+export function parseGeoTiff(buffer) {
+    const view = new DataView(buffer);
+    const byteOrder = view.getUint16(0);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) throw new Error('Not a TIFF file');
+    const little = byteOrder === 0x4949;
+    if (view.getUint16(2, little) !== 42) throw new Error('BigTIFF files are not supported');
+
+    const ifdOffset = view.getUint32(4, little);
+    const entryCount = view.getUint16(ifdOffset, little);
+    const tags = {};
+
+    for (let i = 0; i < entryCount; i++) {
+        const entry = ifdOffset + 2 + i * 12;
+        const tag = view.getUint16(entry, little);
+        const type = view.getUint16(entry + 2, little);
+        const count = view.getUint32(entry + 4, little);
+        const size = (TIFF_TYPE_SIZES[type] || 1) * count;
+        const offset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+        tags[tag] = readTiffValues(view, type, count, offset, little);
+    }
+
+    const width = tags[256][0];
+    const height = tags[257][0];
+    const bitsPerSample = tags[258] ? tags[258][0] : 1;
+    const compression = tags[259] ? tags[259][0] : 1;
+    const samplesPerPixel = tags[277] ? tags[277][0] : 1;
+    const predictor = tags[317] ? tags[317][0] : 1;
+    const sampleFormat = tags[339] ? tags[339][0] : 1;
+    const bytesPerSample = bitsPerSample / 8;
+
+    if (predictor === 3) throw new Error('GeoTIFF floating-point predictor is not supported');
+
+    const scale = tags[33550];
+    const tiepoint = tags[33922];
+    if (!scale || !tiepoint) throw new Error('TIFF has no georeferencing (ModelPixelScale/ModelTiepoint)');
+
+    const geoKeys = readGeoKeys(tags[34735]);
+    if (geoKeys[1024] === 1) throw new Error('Projected GeoTIFFs are not supported; please supply a lat/lon (EPSG:4326) grid');
+    const pixelIsPoint = geoKeys[1025] === 2;
+
+    const tiled = tags[322] !== undefined;
+    const chunkWidth = tiled ? tags[322][0] : width;
+    const chunkHeight = tiled ? tags[323][0] : (tags[278] ? tags[278][0] : height);
+    const offsets = tiled ? tags[324] : tags[273];
+    const byteCounts = tiled ? tags[325] : tags[279];
+    const chunksAcross = Math.ceil(width / chunkWidth);
+
+    const data = new Float32Array(width * height);
+
+    for (let c = 0; c < offsets.length; c++) {
+        let bytes = new Uint8Array(buffer, offsets[c], byteCounts[c]);
+        if (compression === 8 || compression === 32946) {
+            bytes = unzlibSync(bytes);
+        } else if (compression === 5) {
+            bytes = decodeLzw(bytes);
+        } else if (compression !== 1) {
+            throw new Error(`TIFF compression ${compression} is not supported`);
+        }
+
+        const chunk = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const originX = (c % chunksAcross) * chunkWidth;
+        const originY = Math.floor(c / chunksAcross) * chunkHeight;
+        const stride = chunkWidth * samplesPerPixel;
+
+        for (let y = 0; y < chunkHeight && originY + y < height; y++) {
+            let previous = 0;
+            for (let x = 0; x < chunkWidth; x++) {
+                const byteOffset = (y * stride + x * samplesPerPixel) * bytesPerSample;
+                if (byteOffset + bytesPerSample > chunk.byteLength) break;
+
+                let value = readSample(chunk, byteOffset, bitsPerSample, sampleFormat, little);
+                if (predictor === 2) {
+                    value = wrapInteger(value + previous, bitsPerSample, sampleFormat);
+                    previous = value;
+                }
+                if (originX + x < width) data[(originY + y) * width + originX + x] = value;
+            }
+        }
+    }
+
+    const half = pixelIsPoint ? 0 : 0.5;
+    const dx = scale[0], dy = scale[1];
+
+    return new ElevationGrid({
+        width,
+        height,
+        west: tiepoint[3] + (half - tiepoint[0]) * dx,
+        north: tiepoint[4] - (half - tiepoint[1]) * dy,
+        dx,
+        dy,
+        data,
+        noData: tags[42113] ? parseFloat(tags[42113]) : undefined
+    });
+}
+
+function readTiffValues(view, type, count, offset, little) {
+    if (type === 2) {
+        let text = '';
+        for (let i = 0; i < count; i++) {
+            const code = view.getUint8(offset + i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text;
+    }
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        const at = offset + i * (TIFF_TYPE_SIZES[type] || 1);
+        switch (type) {
+            case 3: values.push(view.getUint16(at, little)); break;
+            case 4: values.push(view.getUint32(at, little)); break;
+            case 8: values.push(view.getInt16(at, little)); break;
+            case 9: values.push(view.getInt32(at, little)); break;
+            case 11: values.push(view.getFloat32(at, little)); break;
+            case 12: values.push(view.getFloat64(at, little)); break;
+            case 5: values.push(view.getUint32(at, little) / view.getUint32(at + 4, little)); break;
+            default: values.push(view.getUint8(at));
+        }
+    }
+    return values;
+}
+
+function readGeoKeys(directory) {
+    const keys = {};
+    if (!directory) return keys;
+    for (let i = 4; i + 3 < directory.length; i += 4) {
+        // Only keys stored inline (location 0) matter here
+        if (directory[i + 1] === 0) keys[directory[i]] = directory[i + 3];
+    }
+    return keys;
+}
+
+function readSample(view, offset, bits, format, little) {
+    if (format === 3) return bits === 64 ? view.getFloat64(offset, little) : view.getFloat32(offset, little);
+    if (format === 2) {
+        if (bits === 8) return view.getInt8(offset);
+        if (bits === 16) return view.getInt16(offset, little);
+        return view.getInt32(offset, little);
+    }
+    if (bits === 8) return view.getUint8(offset);
+    if (bits === 16) return view.getUint16(offset, little);
+    return view.getUint32(offset, little);
+}
+
+function wrapInteger(value, bits, format) {
+    const range = 2 ** bits;
+    let wrapped = ((value % range) + range) % range;
+    if (format === 2 && wrapped >= range / 2) wrapped -= range;
+    return wrapped;
+}
+
+// TIFF-flavoured LZW: MSB-first codes, early change, 256 = clear, 257 = end
+function decodeLzw(input) {
+    const output = [];
+    let dictionary = [];
+    let codeLength = 9;
+    let bitPosition = 0;
+    let previous = null;
+
+    const resetDictionary = () => {
+        dictionary = [];
+        for (let i = 0; i < 256; i++) dictionary.push([i]);
+        dictionary.push(null, null);
+        codeLength = 9;
+    };
+
+    const readCode = () => {
+        let code = 0;
+        for (let i = 0; i < codeLength; i++) {
+            const byte = input[(bitPosition + i) >> 3];
+            if (byte === undefined) return 257;
+            code = (code << 1) | ((byte >> (7 - ((bitPosition + i) & 7))) & 1);
+        }
+        bitPosition += codeLength;
+        return code;
+    };
+
+    resetDictionary();
+
+    while (true) {
+        const code = readCode();
+        if (code === 257) break;
+        if (code === 256) {
+            resetDictionary();
+            previous = null;
+            continue;
+        }
+
+        let entry;
+        if (code < dictionary.length) {
+            entry = dictionary[code];
+            if (previous) dictionary.push(previous.concat(entry[0]));
+        } else {
+            entry = previous.concat(previous[0]);
+            dictionary.push(entry);
+        }
+
+        for (let i = 0; i < entry.length; i++) output.push(entry[i]);
+        previous = entry;
+
+        if (dictionary.length + 1 >= (1 << codeLength) && codeLength < 12) codeLength++;
+    }
+
+    return new Uint8Array(output);
+}
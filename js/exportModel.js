@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { strToU8, zipSync } from 'fflate';
+import { _3MFExporter } from './3MFExporter.js';
+import { colourPlanText } from './printLayers.js';
+
+// Output formats offered next to 3MF. STL and OBJ are written Z-up like 3MF,
+// because slicers read them that way; GLB stays Y-up as glTF requires.
+export const exportFormats = {
+    '3mf': { label: '3MF (multi-material)' },
+    'stl': { label: 'STL (single file)' },
+    'stl-layers': { label: 'STL (zip, one per layer)' },
+    'obj': { label: 'OBJ + MTL (zip)' },
+    'glb': { label: 'glTF binary (.glb)' }
+};
+
+const Z_UP = new THREE.Matrix4().makeRotationX(Math.PI / 2);
+
+/**
+ * Serializes an export scene that is already scaled to millimetres.
+ * layerOf(mesh) names the layer a mesh belongs to; it groups 3MF objects and
+ * names the per-layer STL files. options.colourPlan, from colourChangePlan,
+ * goes into a 3MF as slicer colour changes and a text file, and into the
+ * zips as a text file.
+ * Resolves to { blob, filename, issues, sideFiles }, where issues is only
+ * filled for 3MF and sideFiles maps names to the text of files to save next
+ * to a single STL or GLB.
+ */
+export function exportModel(object, format, options = {}) {
+    const baseName = options.baseName || 'model';
+    const layerOf = options.layerOf || (() => 'model');
+    const planText = options.colourPlan ? colourPlanText(options.colourPlan) : '';
+    const planFiles = planText ? { [`${baseName}-colour-changes.txt`]: planText } : {};
+
+    object.updateMatrixWorld(true);
+
+    switch (format) {
+        case '3mf':
+            return new Promise(resolve => {
+                new _3MFExporter().parse(object, (blob, issues) => {
+                    resolve({ blob, filename: `${baseName}.3mf`, issues, sideFiles: {} });
+                }, {
+                    title: options.title,
+                    groupBy: layerOf,
+                    slicerMetadata: options.slicerMetadata,
+                    colourChanges: options.colourPlan ? options.colourPlan.changes : [],
+                    colourPlan: planText
+                });
+            });
+        case 'stl': {
+            const data = new STLExporter().parse(bakeMeshes(object, Z_UP), { binary: true });
+            return Promise.resolve({ blob: new Blob([data], { type: 'model/stl' }), filename: `${baseName}.stl`, issues: [], sideFiles: planFiles });
+        }
+        case 'stl-layers': {
+            const layers = new Map();
+            object.traverse(child => {
+                if (!child.isMesh) return;
+                const layer = layerOf(child);
+                if (!layers.has(layer)) layers.set(layer, []);
+                layers.get(layer).push(child);
+            });
+
+            const files = textFiles(planFiles);
+            layers.forEach((meshes, layer) => {
+                const data = new STLExporter().parse(bakeMeshes(meshes, Z_UP), { binary: true });
+                files[`${baseName}-${fileSafe(layer)}.stl`] = new Uint8Array(data.buffer);
+            });
+            return Promise.resolve({ blob: zipBlob(files), filename: `${baseName}-stl.zip`, issues: [], sideFiles: {} });
+        }
+        case 'obj': {
+            const group = bakeMeshes(object, Z_UP);
+            const obj = `mtllib ${baseName}.mtl\n` + new OBJExporter().parse(group);
+            const files = textFiles(planFiles);
+            files[`${baseName}.obj`] = strToU8(obj);
+            files[`${baseName}.mtl`] = strToU8(buildMtl(group));
+            return Promise.resolve({ blob: zipBlob(files), filename: `${baseName}-obj.zip`, issues: [], sideFiles: {} });
+        }
+        case 'glb':
+            // The exporter reads its output back with window.FileReader, and
+            // would throw where it cannot be caught without one
+            if (typeof window === 'undefined' || !window.FileReader) {
+                return Promise.reject(new Error('GLB export needs a browser with FileReader'));
+            }
+            return new Promise((resolve, reject) => {
+                try {
+                    new GLTFExporter().parse(bakeMeshes(object, new THREE.Matrix4()), result => {
+                        try {
+                            resolve({ blob: new Blob([result], { type: 'model/gltf-binary' }), filename: `${baseName}.glb`, issues: [], sideFiles: planFiles });
+                        } catch (error) {
+                            reject(error);
+                        }
+                    }, { binary: true });
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        default:
+            return Promise.reject(new Error(`Unknown export format "${format}"`));
+    }
+}
+
+/**
+ * Exports each tile from splitIntoTiles as its own file and zips them, named
+ * by row and column from the north-west corner. Resolves like exportModel,
+ * with each issue naming its tile.
+ */
+export function exportTiles(tiles, format, options = {}) {
+    const baseName = options.baseName || 'model';
+    const files = {};
+    const issues = [];
+
+    // One tile at a time keeps memory use down on large maps
+    return tiles.reduce((previous, { row, column, object }) => previous.then(() => {
+        const tileName = `${baseName}-tile-${row + 1}-${column + 1}`;
+        return exportModel(object, format, { ...options, baseName: tileName })
+            .then(({ blob, filename, issues: tileIssues, sideFiles }) => {
+                tileIssues.forEach(issue => issues.push({ ...issue, message: `${tileName}: ${issue.message}` }));
+                Object.assign(files, textFiles(sideFiles));
+                return blob.arrayBuffer().then(buffer => {
+                    files[filename] = new Uint8Array(buffer);
+                });
+            });
+    }), Promise.resolve()).then(() => ({ blob: zipBlob(files), filename: `${baseName}-tiles.zip`, issues, sideFiles: {} }));
+}
+
+// Copies meshes (an object's descendants, or a list) into a flat group with
+// their world transforms, premultiplied by `matrix`, frozen into each clone.
+function bakeMeshes(source, matrix) {
+    const group = new THREE.Group();
+    const add = mesh => {
+        const clone = mesh.clone();
+        clone.matrixAutoUpdate = false;
+        clone.matrix.multiplyMatrices(matrix, mesh.matrixWorld);
+        group.add(clone);
+    };
+
+    if (Array.isArray(source)) {
+        source.forEach(add);
+    } else {
+        source.traverse(child => {
+            if (child.isMesh) add(child);
+        });
+    }
+
+    group.updateMatrixWorld(true);
+    return group;
+}
+
+function buildMtl(group) {
+    const written = new Set();
+    let mtl = '';
+    group.traverse(child => {
+        const material = child.isMesh && child.material;
+        if (!material || !material.name || written.has(material.name)) return;
+        written.add(material.name);
+        const c = material.color;
+        mtl += `newmtl ${material.name}\nKd ${c.r.toFixed(4)} ${c.g.toFixed(4)} ${c.b.toFixed(4)}\nd ${material.opacity}\nillum 1\n\n`;
+    });
+    return mtl;
+}
+
+function textFiles(texts) {
+    const files = {};
+    Object.keys(texts).forEach(name => {
+        files[name] = strToU8(texts[name]);
+    });
+    return files;
+}
+
+function zipBlob(files) {
+    return new Blob([zipSync(files, { level: 6 })], { type: 'application/zip' });
+}
+
+function fileSafe(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
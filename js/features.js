@@ -0,0 +1,61 @@
+import { createProjection } from './projection.js';
+import { pointInPolygon, distanceToPolyline } from './clipping.js';
+
+// The buildings and roads a model was built from, as listed in its
+// userData.features, so the preview can find them again under the pointer.
+// Each is { kind, type, id, tags, rings, width }: kind is 'building' or
+// 'road', type and id name the OSM element, and rings are lists of
+// { lat, lon } points, the outer rings of an area or the centre line of a
+// road, whose modelled width in metres is `width` (0 for areas).
+
+/**
+ * Finds the features of a model in the projection it was drawn in (its
+ * userData.projection). Returns { at(x, z, kinds), atLatLon(lat, lon, kinds),
+ * rings(index) }: the index of the feature at a point in scene metres or on
+ * the map, or -1, looking only at the kinds listed if any; buildings come
+ * before the roads beneath them, and of several roads the nearest wins.
+ * rings gives a feature's rings in scene metres.
+ */
+export function featureLookup(features, { centerLat, centerLon, rotation }) {
+    const projection = createProjection(centerLat, centerLon, rotation);
+    const shapes = features.map(({ kind, rings, width }) => {
+        const sceneRings = rings.map(ring => ring.map(c => projection.toScene(c.lat, c.lon)));
+        const points = sceneRings.flat();
+        const reach = width / 2;
+        return {
+            kind,
+            rings: sceneRings,
+            reach,
+            minX: Math.min(...points.map(p => p.x)) - reach, maxX: Math.max(...points.map(p => p.x)) + reach,
+            minZ: Math.min(...points.map(p => p.z)) - reach, maxZ: Math.max(...points.map(p => p.z)) + reach
+        };
+    });
+
+    function at(x, z, kinds = null) {
+        let best = -1, bestDistance = Infinity;
+        for (let i = 0; i < shapes.length; i++) {
+            const shape = shapes[i];
+            if (kinds && !kinds.includes(shape.kind)) continue;
+            if (x < shape.minX || x > shape.maxX || z < shape.minZ || z > shape.maxZ) continue;
+            const distance = shape.reach > 0
+                ? Math.min(...shape.rings.map(ring => distanceToPolyline(x, z, ring))) - shape.reach
+                : (shape.rings.some(ring => pointInPolygon(x, z, ring)) ? 0 : Infinity);
+            if (distance > 0) continue;
+            if (shape.kind === 'building') return i;
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    return {
+        at,
+        atLatLon: (lat, lon, kinds) => {
+            const { x, z } = projection.toScene(lat, lon);
+            return at(x, z, kinds);
+        },
+        rings: index => shapes[index].rings
+    };
+}
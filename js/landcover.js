@@ -0,0 +1,46 @@
+// Land cover and land use: areas drawn as thin slabs on the land, each in the
+// feature class whose `tags` in the layer style match it, such as
+// { "landuse": ["forest"], "natural": ["wood"] }. Where areas overlap, the
+// class with the higher drawOrder covers the others, so no two surfaces
+// share the same space.
+
+// The feature classes of a style that model areas
+export function areaClasses(style) {
+    return Object.keys(style).filter(layer => style[layer].tags);
+}
+
+/**
+ * The enabled area class an element with `tags` belongs to, or null. When
+ * several match, the one drawn on top wins.
+ */
+export function areaClassOf(tags, style) {
+    let best = null;
+    areaClasses(style).forEach(layer => {
+        const { enabled, tags: match, drawOrder } = style[layer];
+        if (!enabled || !Object.keys(match).some(key => match[key].includes(tags[key]))) return;
+        if (best === null || drawOrder > style[best].drawOrder) best = layer;
+    });
+    return best;
+}
+
+/**
+ * Every tag value that any area class matches, by key, for the download
+ * query. Disabled classes are included so turning them on needs no download.
+ */
+export function areaTagsOf(style) {
+    const keys = {};
+    areaClasses(style).forEach(layer => {
+        Object.keys(style[layer].tags).forEach(key => {
+            keys[key] = [...new Set((keys[key] || []).concat(style[layer].tags[key]))].sort();
+        });
+    });
+    return keys;
+}
+
+/**
+ * The area classes in the order they are laid out: the one drawn on top
+ * first, so the ones beneath can give way to it.
+ */
+export function drawOrder(style) {
+    return areaClasses(style).sort((a, b) => style[b].drawOrder - style[a].drawOrder);
+}
@@ -0,0 +1,767 @@
+import * as THREE from 'three';
+import { createTerrainSampler, buildSlabGeometry, buildFacetedSlabGeometry, buildSteppedSlabGeometry, seatHeight } from './terrain.js';
+import { clipPolygonToOutline, simplifyOutline, unionPolygons, subtractPolygons, bufferPolyline, densifyPolyline, insetOutline, pointInPolygon, distanceToOutline, simplifyPolyline, polygonArea } from './clipping.js';
+import { roadStyle, railwayStyle, isBridge } from './roads.js';
+import { treeGeometry, pointsAlong, spreadOut } from './trees.js';
+import { areaClassOf, drawOrder } from './landcover.js';
+import { buildingHeights, roofFacets } from './buildings.js';
+import { styleRoadClasses } from './style.js';
+import { fitToLayers } from './printLayers.js';
+import { layoutDecorations, coordinateTitle } from './decorations.js';
+import { createProjection, maxScaleError } from './projection.js';
+import { indexOsmElements, isClosedWay, wayCoordinates, multipolygonRings, containsCoordinate, ringCentroid, parseLength } from './osm.js';
+
+// The geometry pipeline: OSM elements and a selection outline in, a model
+// group out. It touches neither the DOM nor the preview, so the page, the
+// command line and scripts all build the same model.
+
+// Each feature class has one colour and exports as one 3MF object, so a
+// multi-material printer can assign it its own filament. Colours and
+// dimensions come from the layer style.
+export const featureClasses = {
+    base: { name: 'Base' },
+    water: { name: 'Water' },
+    residential: { name: 'Residential' },
+    commercial: { name: 'Commercial' },
+    industrial: { name: 'Industrial' },
+    farmland: { name: 'Farmland' },
+    forest: { name: 'Forest' },
+    scrub: { name: 'Scrub' },
+    wetland: { name: 'Wetland' },
+    cemetery: { name: 'Cemeteries' },
+    parks: { name: 'Parks' },
+    sand: { name: 'Sand' },
+    parking: { name: 'Parking' },
+    pitches: { name: 'Pitches' },
+    roads: { name: 'Roads' },
+    railways: { name: 'Railways' },
+    bridges: { name: 'Bridges' },
+    buildings: { name: 'Buildings' },
+    trees: { name: 'Trees' },
+    decorations: { name: 'Decorations' }
+};
+
+// Everything printing-related names meshes by their feature class
+export const layerOf = mesh => featureClasses[mesh.userData.featureClass].name;
+
+// Where merged layers overlap, the one listed first keeps the shared space
+export const mergePriority = Object.keys(featureClasses).reverse().map(key => featureClasses[key].name);
+
+/**
+ * The bounding box of an outline of { lat, lng } points, such as Leaflet
+ * LatLngs, as { south, west, north, east }.
+ */
+export function outlineBounds(outline) {
+    return {
+        south: Math.min(...outline.map(p => p.lat)),
+        west: Math.min(...outline.map(p => p.lng)),
+        north: Math.max(...outline.map(p => p.lat)),
+        east: Math.max(...outline.map(p => p.lng))
+    };
+}
+
+// Area enclosed by an outline of { lat, lng } points in square kilometres,
+// on a plane through its centre; plenty for sizing up a download
+export function outlineAreaKm2(outline) {
+    const { south, north } = outlineBounds(outline);
+    const kmPerDegreeLon = 111.32 * Math.cos((south + north) / 2 * Math.PI / 180);
+    let area = 0;
+    outline.forEach((p, i) => {
+        const q = outline[(i + 1) % outline.length];
+        area += p.lng * kmPerDegreeLon * q.lat * 110.574 - q.lng * kmPerDegreeLon * p.lat * 110.574;
+    });
+    return Math.abs(area) / 2;
+}
+
+// What the printability filters took out of a model, from its
+// userData.simplification, as a sentence
+export function simplificationSummary({ simplified, pointsRemoved, merged, removed }) {
+    return `Simplified ${simplified} feature(s) (${pointsRemoved} point(s) fewer); ` +
+        `merged ${merged} and removed ${removed} tiny building(s).`;
+}
+
+/**
+ * Builds the model of `data` (Overpass JSON or anything with an elements
+ * list) cut to `outline`, a ring of { lat, lng } points. Options:
+ * - style: a complete layer style, as from normalizeStyle
+ * - modelSizeMM: printed length of the longer side
+ * - rotation: degrees anticlockwise from east of the selection's own x axis,
+ *   so a rotated rectangle lies square on the plate; 0 keeps north up
+ * - terrainExaggeration, elevationModel: relief from a loaded DEM
+ * - font, title: a THREE.Font for lettering and the title text, which
+ *   defaults to the centre coordinates
+ * - simplifyMM: outlines and centre lines lose detail finer than this on
+ *   the print
+ * - minBuildingMM2: buildings with a smaller printed footprint merge into a
+ *   building they touch, or are left out
+ * - layers: { layerHeightMM, firstLayerMM } to snap every height to the
+ *   print layers and stack the feature classes in bands of their own, for
+ *   colour changes by height; null keeps the style's heights
+ * - onProgress(stage, fraction): called as the build goes, with the name of
+ *   the stage and, for the longer ones, how far through it is
+ * Returns the model group, centred on the origin and resting on y = 0, in
+ * scene units: metres across and userData.displayVerticalScale per printed
+ * mm up. userData.minBaseMM is the thinnest part of the base, and
+ * userData.projection describes the map projection and its largest scale
+ * error over the selection. With layers, userData.printLayers has the layer
+ * heights and the bands of the feature classes in the model, from the
+ * bottom up, with terrain set when the bands follow the terrain relief.
+ * userData.simplification counts the features simplified and the points
+ * they lost, and the tiny buildings merged and removed. userData.features
+ * lists the buildings and roads modelled, as described in features.js, and
+ * each building mesh has userData.feature, the index of its building there.
+ */
+export function buildModel(data, outline, { style, modelSizeMM = 200, rotation = 0, terrainExaggeration = 0, elevationModel = null, font = null, title = '', simplifyMM = 0, minBuildingMM2 = 0, layers = null, onProgress = () => {} }) {
+    const bounds = outlineBounds(outline);
+
+    const modelGroup = new THREE.Group();
+    modelGroup.name = "modelGroup";
+
+    const materials = featureMaterials(style);
+
+    // Disabled layers are left out; the layers around them keep their places
+    function addFeatureMesh(mesh, featureClass) {
+        if (!style[featureClass].enabled) return;
+        mesh.userData.featureClass = featureClass;
+        modelGroup.add(mesh);
+    }
+
+    const { nodes, ways, relations } = indexOsmElements(data.elements);
+
+    const centerLat = (bounds.south + bounds.north) / 2;
+    const centerLon = (bounds.west + bounds.east) / 2;
+
+    // Transverse Mercator centred on the selection, in metres; y is up
+    const projection = createProjection(centerLat, centerLon, rotation);
+    function latLonToVector3(lat, lon) {
+        const { x, z } = projection.toScene(lat, lon);
+        return new THREE.Vector3(x, 0, z);
+    }
+    modelGroup.userData.projection = {
+        name: 'Transverse Mercator',
+        centerLat,
+        centerLon,
+        rotation,
+        maxScaleError: maxScaleError(projection, outline)
+    };
+
+    // The buildings and roads in the model, for the preview to point at (see
+    // features.js); each building mesh has the index of its own
+    const features = [];
+    modelGroup.userData.features = features;
+
+    // The selection outline in scene coordinates; everything is cut to it
+    const outlinePoints = simplifyOutline(outline.map(p => latLonToVector3(p.lat, p.lng)));
+
+    const modelWidth = Math.max(...outlinePoints.map(p => p.x)) - Math.min(...outlinePoints.map(p => p.x));
+    const modelDepth = Math.max(...outlinePoints.map(p => p.z)) - Math.min(...outlinePoints.map(p => p.z));
+
+    const horizontalMaxDim = Math.max(modelWidth, modelDepth);
+    const sceneScale = horizontalMaxDim / modelSizeMM;
+
+    // Detail too fine to print is taken out of outlines and centre lines
+    // before anything is built. Each feature counts once however many rings
+    // it has; closed rings that would collapse stay as they are.
+    const simplification = { simplified: 0, pointsRemoved: 0, merged: 0, removed: 0 };
+    modelGroup.userData.simplification = simplification;
+    const simplifyTolerance = simplifyMM * sceneScale;
+    function simplifyRings(rings) {
+        const result = rings.map(points => {
+            const simplified = simplifyPolyline(points, simplifyTolerance);
+            return simplified.length < 4 && points[0].equals(points[points.length - 1]) ? points : simplified;
+        });
+        const removed = rings.reduce((sum, points, i) => sum + points.length - result[i].length, 0);
+        if (removed > 0) {
+            simplification.simplified++;
+            simplification.pointsRemoved += removed;
+        }
+        return result;
+    }
+    const simplifyLine = points => simplifyRings([points])[0];
+    const simplifyPolygon = ({ outer, holes }) => {
+        const [simplifiedOuter, ...simplifiedHoles] = simplifyRings([outer, ...holes]);
+        return { outer: simplifiedOuter, holes: simplifiedHoles };
+    };
+
+    // Use a display scale that makes layers clearly visible in the preview
+    const displayVerticalScale = horizontalMaxDim / 50; // Makes layers proportional to model size
+    modelGroup.userData.displayVerticalScale = displayVerticalScale; // Scene units per printed mm, used on export
+
+    // Terrain relief above the lowest point, in scene units; flat without a DEM.
+    // Elevations use the true horizontal mm-per-metre scale times the exaggeration.
+    const terrainHeightAt = createTerrainSampler(elevationModel, {
+        ...bounds,
+        toLatLon: projection.toLatLon,
+        metresToScene: terrainExaggeration * displayVerticalScale / sceneScale
+    });
+
+    // Terrain needs interior vertices to follow the DEM; a flat plate does not
+    const terrainSpacing = elevationModel ? horizontalMaxDim / 64 : Infinity;
+
+    // Buildings and building parts are areas with holes, from closed ways and
+    // multipolygon relations
+    const buildingAreas = [];
+    if (style.buildings.enabled) ways.forEach(way => {
+        if (way.tags && (isBuilding(way.tags) || isBuildingPart(way.tags)) && isClosedWay(way)) {
+            buildingAreas.push({ type: 'way', id: way.id, tags: way.tags, polygons: [{ outer: wayCoordinates(way, nodes), holes: [] }] });
+        }
+    });
+    if (style.buildings.enabled) relations.forEach(relation => {
+        if (relation.tags && relation.tags.type === 'multipolygon' && (isBuilding(relation.tags) || isBuildingPart(relation.tags))) {
+            const polygons = multipolygonRings(relation, ways, nodes);
+            if (polygons.length > 0) buildingAreas.push({ type: 'relation', id: relation.id, tags: relation.tags, polygons });
+        }
+    });
+
+    // Simple 3D Buildings: an outline that contains building parts is modelled by its parts alone
+    const partCentroids = buildingAreas
+        .filter(area => isBuildingPart(area.tags))
+        .map(area => ringCentroid(area.polygons[0].outer));
+    const buildings = buildingAreas.filter(area => isBuildingPart(area.tags) ||
+        !partCentroids.some(centroid => area.polygons.some(polygon => containsCoordinate(polygon.outer, centroid))));
+
+    // Road ribbons, collected by road class, and railway ribbons. Tunnels
+    // are left out; bridges are modelled apart from the ground.
+    const roadClasses = styleRoadClasses(style);
+    const roadAreas = new Map();
+    const railAreas = [];
+    const roadCentrePoints = []; // Let ribbons follow the terrain between junctions
+    const roadAreasFor = roadClass => {
+        if (!roadAreas.has(roadClass)) roadAreas.set(roadClass, []);
+        return roadAreas.get(roadClass);
+    };
+    const bridgeWays = [];
+    const treePoints = [];
+    const landAreas = new Map(); // Land cover polygons by feature class
+    const addLandArea = (featureClass, polygon) => {
+        if (!landAreas.has(featureClass)) landAreas.set(featureClass, []);
+        landAreas.get(featureClass).push(polygon);
+    };
+    const onBridge = tags => style.bridges.enabled && isBridge(tags);
+
+    data.elements.forEach((el, i) => {
+        if (el.type === 'way') {
+            onProgress('Laying out roads and areas', i / data.elements.length);
+            let points = wayCoordinates(el, nodes).map(c => latLonToVector3(c.lat, c.lon));
+
+            if (points.length < 2) return;
+
+            // Buildings are modelled from the building areas above
+            if (el.tags && (isBuilding(el.tags) || isBuildingPart(el.tags))) return;
+
+            if (el.tags && (el.tags.highway || el.tags.railway) && isUnderground(el.tags)) return;
+
+            if (el.tags && el.tags.highway) {
+                const road = style.roads.enabled && roadStyle(el.tags, roadClasses);
+                if (!road || (road.minor && !style.roads.showMinor)) return;
+                points = simplifyLine(points);
+                const feature = { kind: 'road', type: 'way', id: el.id, tags: el.tags, rings: [wayCoordinates(el, nodes)], width: 0 };
+                features.push(feature);
+
+                // Closed ways tagged area=yes are squares and plazas rather than lines
+                if (el.tags.area === 'yes' && isClosedWay(el)) {
+                    roadAreasFor(road.roadClass).push({ outer: points, holes: [] });
+                } else {
+                    const width = Math.max(road.width * style.roads.widthScale, road.minWidthMM * sceneScale);
+                    feature.width = width;
+                    if (onBridge(el.tags)) {
+                        bridgeWays.push({ points, width });
+                        return;
+                    }
+                    const centreLine = densifyPolyline(points, terrainSpacing);
+                    roadAreasFor(road.roadClass).push(...bufferPolyline(centreLine, width));
+                    roadCentrePoints.push(...centreLine);
+                }
+            } else if (el.tags && el.tags.railway) {
+                const rail = style.railways.enabled && railwayStyle(el.tags);
+                if (!rail || (rail.tram && !style.railways.trams)) return;
+                points = simplifyLine(points);
+
+                const width = Math.max(rail.width, style.railways.minWidthMM * sceneScale);
+                if (onBridge(el.tags)) {
+                    bridgeWays.push({ points, width });
+                    return;
+                }
+                const centreLine = densifyPolyline(points, terrainSpacing);
+                railAreas.push(...bufferPolyline(centreLine, width));
+                roadCentrePoints.push(...centreLine);
+            } else if (el.tags && el.tags.natural === 'tree_row') {
+                treePoints.push(...pointsAlong(points, Math.max(style.trees.rowSpacingM, style.trees.diameterMM * sceneScale)));
+            } else if (el.tags && isClosedWay(el)) {
+                const featureClass = areaClassOf(el.tags, style);
+                if (featureClass) addLandArea(featureClass, { outer: simplifyLine(points), holes: [] });
+            }
+        } else if (el.type === 'node' && el.tags && el.tags.natural === 'tree') {
+            treePoints.push(latLonToVector3(el.lat, el.lon));
+        }
+    });
+
+    // Large forests and parks are often multipolygons
+    relations.forEach(relation => {
+        if (!relation.tags || relation.tags.type !== 'multipolygon') return;
+        const featureClass = areaClassOf(relation.tags, style);
+        if (!featureClass) return;
+        multipolygonRings(relation, ways, nodes).forEach(polygon => addLandArea(featureClass, simplifyPolygon({
+            outer: polygon.outer.map(c => latLonToVector3(c.lat, c.lon)),
+            holes: polygon.holes.map(hole => hole.map(c => latLonToVector3(c.lat, c.lon)))
+        })));
+    });
+
+    // For colour changes by height, every height snaps to the print layers
+    // and each feature class in the model gets a band of its own
+    let fit = null;
+    if (layers) {
+        const present = new Set(['base', ...landAreas.keys()]);
+        if (style.water.enabled) present.add('water');
+        if (roadAreas.size > 0) present.add('roads');
+        if (railAreas.length > 0) present.add('railways');
+        if (bridgeWays.length > 0) present.add('bridges');
+        if (style.trees.enabled && treePoints.length > 0) present.add('trees');
+        if (buildings.length > 0) present.add('buildings');
+        if (style.decorations.enabled) present.add('decorations');
+        fit = fitToLayers(style, present, layers);
+        style = fit.style;
+    }
+
+    // Define heights in scene units for display
+    const baseHeight = style.base.thicknessMM * displayVerticalScale;
+
+    onProgress('Laying out decorations');
+    // Decorations: a raised frame around the edge with the map inset inside
+    // it, and a title, north arrow and scale bar on plaques that features
+    // keep clear of. Engraved lettering needs some base left beneath it.
+    const decorations = style.decorations;
+    let featureOutline = outlinePoints;
+    if (decorations.enabled && decorations.frame) {
+        const inner = insetOutline(outlinePoints, decorations.frameWidthMM * sceneScale);
+        if (inner.length >= 3) featureOutline = inner;
+    }
+    const layout = decorations.enabled
+        ? layoutDecorations(featureOutline, {
+            title: decorations.title && (title.trim() || coordinateTitle(centerLat, centerLon)),
+            textSizeMM: decorations.textSizeMM,
+            northArrow: decorations.northArrow,
+            scaleBar: decorations.scaleBar
+        }, { font, sceneScale, rotation })
+        : { title: [], marks: [], reserved: [] };
+    const keepClear = polygons => layout.reserved.length > 0 ? subtractPolygons(polygons, layout.reserved) : polygons;
+    const engraveMM = Math.min(decorations.reliefMM, style.base.thicknessMM - 0.4);
+    const engraved = decorations.engraveTitle && engraveMM > 0 ? layout.title : [];
+    const raised = layout.marks.concat(engraved.length > 0 ? [] : layout.title);
+
+    // Water areas from lakes, ponds, reservoirs and riverbanks, plus linear
+    // waterways buffered to their width, merged and cut to the selection.
+    // Without the water layer the base is not recessed.
+    onProgress('Cutting water');
+    const waterPolygons = [];
+    if (style.water.enabled) ways.forEach(way => {
+        if (way.tags && isWaterArea(way.tags) && isClosedWay(way)) {
+            waterPolygons.push({ outer: simplifyLine(wayCoordinates(way, nodes).map(c => latLonToVector3(c.lat, c.lon))), holes: [] });
+        }
+        if (way.tags && waterwayWidths[way.tags.waterway] && !isUnderground(way.tags)) {
+            const points = simplifyLine(wayCoordinates(way, nodes).map(c => latLonToVector3(c.lat, c.lon)));
+            const width = Math.max(parseLength(way.tags.width) || waterwayWidths[way.tags.waterway], style.water.minWidthMM * sceneScale);
+            if (points.length >= 2) waterPolygons.push(...bufferPolyline(points, width));
+        }
+    });
+    if (style.water.enabled) relations.forEach(relation => {
+        if (relation.tags && relation.tags.type === 'multipolygon' && isWaterArea(relation.tags)) {
+            multipolygonRings(relation, ways, nodes).forEach(polygon => {
+                waterPolygons.push(simplifyPolygon({
+                    outer: polygon.outer.map(c => latLonToVector3(c.lat, c.lon)),
+                    holes: polygon.holes.map(hole => hole.map(c => latLonToVector3(c.lat, c.lon)))
+                }));
+            });
+        }
+    });
+    const water = keepClear(unionPolygons(waterPolygons)
+        .flatMap(polygon => clipPolygonToOutline(polygon.outer, polygon.holes, featureOutline)));
+
+    // Engraved lettering gets a floor of its own, so the bed sits a little
+    // below the bottom of the letters
+    const waterRecessMM = water.length > 0 ? style.water.depthMM : 0;
+    const recessMM = Math.max(waterRecessMM, engraved.length > 0 ? engraveMM + 0.2 : 0);
+
+    // Thinnest part of the base, which tile joints have to fit into
+    modelGroup.userData.minBaseMM = style.base.thicknessMM - Math.max(waterRecessMM, engraved.length > 0 ? engraveMM : 0);
+
+    // Create a base. Where there is water the base is recessed, leaving room
+    // for a separate water layer that sits just below the surrounding land.
+    onProgress('Building the base');
+    const outlinePolygon = { outer: outlinePoints, holes: [] };
+    const landTopAt = (x, z) => baseHeight + terrainHeightAt(x, z);
+    if (recessMM > 0) {
+        const bedY = baseHeight - recessMM * displayVerticalScale;
+        const floorTopAt = (x, z) => landTopAt(x, z) - engraveMM * displayVerticalScale;
+
+        // One solid with the water bed and the lettering floor sunk into it,
+        // so the base prints and exports as a single closed object
+        const base = buildSteppedSlabGeometry([
+            { polygons: subtractPolygons([outlinePolygon], water.concat(engraved)), topAt: landTopAt, spacing: terrainSpacing },
+            { polygons: water, topAt: () => bedY, spacing: Infinity },
+            { polygons: engraved, topAt: floorTopAt, spacing: terrainSpacing }
+        ], 0);
+        addFeatureMesh(new THREE.Mesh(base, materials.base), 'base');
+
+        if (water.length > 0) {
+            const waterTopAt = (x, z) => landTopAt(x, z) - style.water.surfaceMM * displayVerticalScale;
+            const waterGeometry = buildSlabGeometry(water, bedY, waterTopAt, terrainSpacing);
+            addFeatureMesh(new THREE.Mesh(waterGeometry, materials.water), 'water');
+        }
+    } else {
+        const baseGeometry = buildSlabGeometry([outlinePolygon], 0, landTopAt, terrainSpacing);
+        addFeatureMesh(new THREE.Mesh(baseGeometry, materials.base), 'base');
+    }
+
+    // Footprints of what stands on the ground, which trees keep out of
+    const occupied = [];
+
+    // Heights in metres, with roofs laid out on the whole unclipped footprint
+    let minBuildingHeightInMeters = Infinity;
+    let maxBuildingHeightInMeters = 0;
+
+    buildings.forEach(area => {
+        area.scenePolygons = area.polygons.map(polygon => simplifyPolygon({
+            outer: polygon.outer.map(c => latLonToVector3(c.lat, c.lon)),
+            holes: polygon.holes.map(hole => hole.map(c => latLonToVector3(c.lat, c.lon)))
+        }));
+    });
+
+    // Buildings too small to print join a building they touch, within the
+    // simplification tolerance, or are left out
+    const minFootprint = minBuildingMM2 * sceneScale * sceneScale;
+    const { standing, merged, removed } = mergeTinyBuildings(buildings, minFootprint, Math.max(simplifyTolerance, 0.01 * sceneScale));
+    simplification.merged = merged;
+    simplification.removed = removed;
+
+    standing.forEach(area => {
+        Object.assign(area, buildingHeights(area.tags, area.scenePolygons.map(polygon => polygon.outer), style.buildings));
+
+        if (area.height > 0) {
+            if (area.height < minBuildingHeightInMeters) minBuildingHeightInMeters = area.height;
+            if (area.height > maxBuildingHeightInMeters) maxBuildingHeightInMeters = area.height;
+        }
+    });
+
+    const minPrintHeightMM = style.buildings.minHeightMM;
+    const maxPrintHeightMM = style.buildings.maxHeightMM;
+
+    // Printed mm per metre of a building. At true scale every building uses
+    // the map's own scale, so neighbouring prints match; otherwise heights are
+    // spread over the printed range by where they fall in this selection.
+    function buildingMMPerMetre(height) {
+        let buildingPrintHeightMM;
+        if (style.buildings.trueScale) {
+            buildingPrintHeightMM = height * style.buildings.exaggeration / sceneScale;
+        } else {
+            buildingPrintHeightMM = minPrintHeightMM;
+            if (maxBuildingHeightInMeters > minBuildingHeightInMeters) {
+                const heightRatio = (height - minBuildingHeightInMeters) / (maxBuildingHeightInMeters - minBuildingHeightInMeters);
+                buildingPrintHeightMM = minPrintHeightMM + heightRatio * (maxPrintHeightMM - minPrintHeightMM);
+            }
+            buildingPrintHeightMM = Math.min(maxPrintHeightMM, buildingPrintHeightMM);
+        }
+        if (layers) buildingPrintHeightMM = Math.round(buildingPrintHeightMM / layers.layerHeightMM) * layers.layerHeightMM;
+
+        // Ensure minimum height so small buildings stay printable
+        return Math.max(minPrintHeightMM, buildingPrintHeightMM) / height;
+    }
+
+    standing.forEach((area, i) => {
+        onProgress('Modelling buildings', i / standing.length);
+        if (!(area.height > area.minHeight)) return;
+
+        // Tiny buildings merged into a flat roof join its footprint; under a
+        // shaped roof they are built up to the eaves
+        const clip = polygons => keepClear(polygons.flatMap(polygon => clipPolygonToOutline(polygon.outer, polygon.holes, featureOutline)));
+        const mergedPolygons = area.mergedPolygons || [];
+        const footprint = area.roof || mergedPolygons.length === 0 ? area.scenePolygons : unionPolygons(area.scenePolygons.concat(mergedPolygons));
+        const pieces = clip(footprint);
+        if (pieces.length === 0) return;
+        const annexes = area.roof && mergedPolygons.length > 0 ? subtractPolygons(clip(mergedPolygons), pieces) : [];
+        occupied.push(...pieces, ...annexes);
+
+        // Raised parts keep the same proportion of the printed height
+        const mmPerMetre = buildingMMPerMetre(area.height);
+        const seatY = baseHeight + seatHeight(pieces.flatMap(piece => piece.outer), terrainHeightAt);
+        const bottomY = seatY + area.minHeight * mmPerMetre * displayVerticalScale;
+        const roofHeight = area.roof ? area.roof.height : 0;
+        const eavesY = seatY + (area.height - roofHeight) * mmPerMetre * displayVerticalScale;
+        const roofRiseY = roofHeight * mmPerMetre * displayVerticalScale;
+
+        // Flat roofs are a single facet; shaped roofs split the footprint
+        // along their ridges and hips
+        const facets = area.roof
+            ? roofFacets(area.roof).map(facet => ({
+                polygons: pieces.flatMap(piece => clipPolygonToOutline(piece.outer, piece.holes, facet.ring)),
+                topAt: (x, z) => eavesY + roofRiseY * facet.rise(x, z),
+                spacing: facet.spacing
+            }))
+            : [{ polygons: pieces, topAt: () => eavesY }];
+        if (annexes.length > 0) facets.push({ polygons: annexes, topAt: () => eavesY });
+
+        const geometry = buildFacetedSlabGeometry(facets, bottomY, Infinity);
+        const mesh = new THREE.Mesh(geometry, materials.buildings);
+        mesh.userData.feature = features.length;
+        features.push({ kind: 'building', type: area.type, id: area.id, tags: area.tags, rings: area.polygons.map(polygon => polygon.outer), width: 0 });
+        addFeatureMesh(mesh, 'buildings');
+    });
+
+    // Land cover from the top of the draw order down: each class gives way
+    // to those above it and to the water, so no two surfaces overlap. Each
+    // rests directly on the land so the layers print without gaps.
+    const landClasses = drawOrder(style).filter(featureClass => landAreas.has(featureClass));
+    let coveredByAreas = water;
+    landClasses.forEach((featureClass, i) => {
+        onProgress('Modelling land cover', i / landClasses.length);
+        const areas = subtractPolygons(unionPolygons(landAreas.get(featureClass)), coveredByAreas);
+        coveredByAreas = coveredByAreas.concat(areas);
+
+        const heightMM = style[featureClass].heightMM;
+        const pieces = keepClear(areas.flatMap(polygon => clipPolygonToOutline(polygon.outer, polygon.holes, featureOutline)));
+        if (heightMM <= 0 || pieces.length === 0) return;
+        const areaTopAt = (x, z) => landTopAt(x, z) + heightMM * displayVerticalScale;
+        addFeatureMesh(new THREE.Mesh(buildSlabGeometry(pieces, landTopAt, areaTopAt, terrainSpacing), materials[featureClass]), featureClass);
+    });
+
+    // Where roads and railways of different heights meet, the higher one
+    // runs through
+    const roadHeights = new Map(); // Crossings of the same height merge into one surface
+    roadAreas.forEach((areas, roadClass) => {
+        const heightMM = styleRoadClasses(style)[roadClass].heightMM;
+        roadHeights.set(heightMM, (roadHeights.get(heightMM) || []).concat(areas));
+    });
+    const ribbonLayers = [...roadHeights.keys()].map(heightMM => ({ featureClass: 'roads', heightMM, areas: roadHeights.get(heightMM) }));
+    if (railAreas.length > 0) ribbonLayers.push({ featureClass: 'railways', heightMM: style.railways.heightMM, areas: railAreas });
+    ribbonLayers.sort((a, b) => b.heightMM - a.heightMM);
+
+    let coveredByRoads = layout.reserved;
+    ribbonLayers.forEach(({ featureClass, heightMM, areas }, i) => {
+        onProgress('Modelling roads and railways', i / ribbonLayers.length);
+        const ribbons = subtractPolygons(unionPolygons(areas), coveredByRoads);
+        coveredByRoads = coveredByRoads.concat(ribbons);
+
+        const pieces = ribbons.flatMap(polygon => clipPolygonToOutline(polygon.outer, polygon.holes, featureOutline));
+        if (pieces.length === 0) return;
+        const ribbonTopAt = (x, z) => landTopAt(x, z) + heightMM * displayVerticalScale;
+        addFeatureMesh(new THREE.Mesh(buildSlabGeometry(pieces, landTopAt, ribbonTopAt, terrainSpacing, roadCentrePoints), materials[featureClass]), featureClass);
+    });
+
+    // Bridge decks are level, clearanceMM above the highest ground along
+    // them, and stand on square supports on the land or the water
+    const isClear = (x, z, margin) => pointInPolygon(x, z, featureOutline) && distanceToOutline(x, z, featureOutline) >= margin &&
+        !layout.reserved.some(plaque => pointInPolygon(x, z, plaque.outer));
+    const touches = (polygons, x, z, margin) => [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]].some(([dx, dz]) =>
+        polygons.some(polygon => pointInPolygon(x + dx * margin, z + dz * margin, polygon.outer)));
+    const inWater = (x, z) => water.some(polygon => pointInPolygon(x, z, polygon.outer) &&
+        !polygon.holes.some(hole => pointInPolygon(x, z, hole)));
+    const supportBottomAt = (x, z) => landTopAt(x, z) - (inWater(x, z) ? style.water.surfaceMM * displayVerticalScale : 0);
+    const supportHalfWidth = style.bridges.supportWidthMM * sceneScale / 2;
+    bridgeWays.forEach(({ points, width }, i) => {
+        onProgress('Modelling bridges', i / bridgeWays.length);
+        const deck = keepClear(unionPolygons(bufferPolyline(points, width))
+            .flatMap(polygon => clipPolygonToOutline(polygon.outer, polygon.holes, featureOutline)));
+        if (deck.length === 0) return;
+        occupied.push(...deck);
+
+        const groundY = densifyPolyline(points, terrainSpacing).reduce((max, p) => Math.max(max, landTopAt(p.x, p.z)), -Infinity);
+        const deckBottomY = groundY + style.bridges.clearanceMM * displayVerticalScale;
+        const deckTopY = deckBottomY + style.bridges.deckMM * displayVerticalScale;
+        addFeatureMesh(new THREE.Mesh(buildSlabGeometry(deck, deckBottomY, () => deckTopY, Infinity), materials.bridges), 'bridges');
+
+        const supports = pointsAlong(points, style.bridges.supportSpacingMM * sceneScale)
+            .filter(p => isClear(p.x, p.z, supportHalfWidth) && !touches(coveredByRoads, p.x, p.z, supportHalfWidth))
+            .map(p => ({
+                outer: [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([dx, dz]) =>
+                    new THREE.Vector3(p.x + dx * supportHalfWidth, 0, p.z + dz * supportHalfWidth)),
+                holes: []
+            }));
+        if (supports.length > 0) {
+            addFeatureMesh(new THREE.Mesh(buildSlabGeometry(supports, supportBottomAt, () => deckBottomY, Infinity), materials.bridges), 'bridges');
+        }
+    });
+
+    // Trees from single trees and tree rows, kept off the frame, plaques,
+    // buildings and bridges and apart from each other
+    if (style.trees.enabled) {
+        const radius = style.trees.diameterMM * sceneScale / 2;
+        const standing = treePoints.filter(p => isClear(p.x, p.z, radius) && !touches(occupied, p.x, p.z, radius));
+        const trees = spreadOut(standing, 2 * radius).map(p => ({
+            x: p.x,
+            z: p.z,
+            y: seatHeight([[0, 0], [1, 0], [0, 1], [-1, 0], [0, -1]].map(([dx, dz]) => ({ x: p.x + dx * radius, z: p.z + dz * radius })), landTopAt)
+        }));
+        if (trees.length > 0) {
+            // Balls are as tall as they are wide, less the cut-off bottom
+            const heightMM = style.trees.spheres ? 0.8 * style.trees.diameterMM : style.trees.heightMM;
+            const geometry = treeGeometry(trees, { radius, height: heightMM * displayVerticalScale, spheres: style.trees.spheres });
+            addFeatureMesh(new THREE.Mesh(geometry, materials.trees), 'trees');
+        }
+    }
+
+    // The frame and raised decorations stand on the land like the other layers
+    if (featureOutline !== outlinePoints) {
+        const band = subtractPolygons([outlinePolygon], [{ outer: featureOutline, holes: [] }]);
+        const frameTopAt = (x, z) => landTopAt(x, z) + decorations.frameHeightMM * displayVerticalScale;
+        addFeatureMesh(new THREE.Mesh(buildSlabGeometry(band, landTopAt, frameTopAt, terrainSpacing), materials.decorations), 'decorations');
+    }
+    if (raised.length > 0) {
+        const reliefTopAt = (x, z) => landTopAt(x, z) + decorations.reliefMM * displayVerticalScale;
+        addFeatureMesh(new THREE.Mesh(buildSlabGeometry(raised, landTopAt, reliefTopAt, terrainSpacing), materials.decorations), 'decorations');
+    }
+
+    // The bands that made it into the model, for the colour change plan
+    if (fit) {
+        const modelled = new Set(modelGroup.children.map(mesh => mesh.userData.featureClass));
+        modelGroup.userData.printLayers = {
+            layerHeightMM: layers.layerHeightMM,
+            firstLayerMM: layers.firstLayerMM,
+            bands: fit.bands.filter(band => modelled.has(band.featureClass)),
+            terrain: terrainExaggeration > 0 && elevationModel !== null
+        };
+    }
+
+    // Center the model for export
+    const box = new THREE.Box3().setFromObject(modelGroup);
+    const center = box.getCenter(new THREE.Vector3());
+    modelGroup.position.x -= center.x;
+    modelGroup.position.z -= center.z;
+    modelGroup.position.y -= box.min.y;
+
+    return modelGroup;
+}
+
+// Default widths in metres for linear waterways without a width tag
+const waterwayWidths = {
+    river: 20,
+    canal: 12,
+    stream: 3,
+    drain: 2,
+    ditch: 1.5
+};
+
+function isWaterArea(tags) {
+    return tags.natural === 'water' || tags.waterway === 'riverbank' || tags.landuse === 'reservoir';
+}
+
+// Waterways, roads and railways that run underground leave the surface untouched
+function isUnderground(tags) {
+    return (tags.tunnel !== undefined && tags.tunnel !== 'no') || tags.location === 'underground';
+}
+
+function isBuilding(tags) {
+    return tags.building !== undefined && tags.building !== 'no';
+}
+
+function isBuildingPart(tags) {
+    return tags['building:part'] !== undefined && tags['building:part'] !== 'no';
+}
+
+// Splits buildings into those standing and those with a footprint under
+// minArea, which are merged into the first standing building within `reach`
+// of one of their corners (its mergedPolygons) or else removed. Returns
+// { standing, merged, removed }.
+function mergeTinyBuildings(buildings, minArea, reach) {
+    const standing = [], tiny = [];
+    buildings.forEach(area => {
+        const footprint = area.scenePolygons.reduce((sum, polygon) => sum + polygonArea(polygon), 0);
+        (footprint < minArea ? tiny : standing).push(area);
+    });
+    if (tiny.length === 0) return { standing, merged: 0, removed: 0 };
+
+    const boxOf = points => ({
+        minX: Math.min(...points.map(p => p.x)) - reach, maxX: Math.max(...points.map(p => p.x)) + reach,
+        minZ: Math.min(...points.map(p => p.z)) - reach, maxZ: Math.max(...points.map(p => p.z)) + reach
+    });
+    const overlap = (a, b) => a.minX <= b.maxX && b.minX <= a.maxX && a.minZ <= b.maxZ && b.minZ <= a.maxZ;
+    const boxes = standing.map(area => boxOf(area.scenePolygons.flatMap(polygon => polygon.outer)));
+
+    let merged = 0;
+    tiny.forEach(area => {
+        const corners = area.scenePolygons.flatMap(polygon => polygon.outer);
+        const box = boxOf(corners);
+        const neighbour = standing.find((other, i) => overlap(box, boxes[i]) && other.scenePolygons.some(polygon =>
+            corners.some(p => pointInPolygon(p.x, p.z, polygon.outer) || distanceToOutline(p.x, p.z, polygon.outer) <= reach)));
+        if (!neighbour) return;
+        neighbour.mergedPolygons = (neighbour.mergedPolygons || []).concat(area.scenePolygons);
+        merged++;
+    });
+    return { standing, merged, removed: tiny.length - merged };
+}
+
+
+/**
+ * The model scaled to millimetres for export, in a scene of its own. Heights
+ * were laid out in display units per mm, so that is undone vertically; every
+ * exporter bakes this into the meshes through their world matrices.
+ */
+export function printScene(modelGroup, modelSizeMM) {
+    const exportScene = new THREE.Scene();
+
+    // Calculate scale factor based on horizontal dimensions only
+    const modelBounds = new THREE.Box3().setFromObject(modelGroup);
+    const modelSize = modelBounds.getSize(new THREE.Vector3());
+    const horizontalScale = modelSizeMM / Math.max(modelSize.x, modelSize.z);
+
+    const exportGroup = new THREE.Group();
+    exportGroup.name = "exportGroup";
+    exportGroup.scale.set(horizontalScale, 1 / modelGroup.userData.displayVerticalScale, horizontalScale);
+    const copy = modelGroup.clone();
+    delete copy.userData.features; // Only the preview needs them
+    exportGroup.add(copy);
+
+    exportScene.add(exportGroup);
+    return exportScene;
+}
+
+// One material per feature class, named for the exported objects
+function featureMaterials(style) {
+    const materials = {};
+    Object.keys(featureClasses).forEach(key => {
+        materials[key] = new THREE.MeshStandardMaterial({ color: style[key].color, name: featureClasses[key].name });
+    });
+    return materials;
+}
+
+/**
+ * A model group as plain data that can be posted between a worker and the
+ * page: typed arrays for every geometry plus the group's position and
+ * userData. `transfer` lists the array buffers, which move without copying.
+ */
+export function serializeModel(group) {
+    const transfer = new Set();
+    const meshes = group.children.filter(child => child.isMesh).map(mesh => {
+        const attributes = {};
+        Object.keys(mesh.geometry.attributes).forEach(name => {
+            const attribute = mesh.geometry.attributes[name];
+            attributes[name] = { array: attribute.array, itemSize: attribute.itemSize, normalized: attribute.normalized };
+            transfer.add(attribute.array.buffer);
+        });
+        const index = mesh.geometry.index && mesh.geometry.index.array;
+        if (index) transfer.add(index.buffer);
+        return { featureClass: mesh.userData.featureClass, feature: mesh.userData.feature, attributes, index };
+    });
+    return { model: { meshes, position: group.position.toArray(), userData: group.userData }, transfer: [...transfer] };
+}
+
+// Rebuilds a group from serializeModel, painted in the given style
+export function deserializeModel({ meshes, position, userData }, style) {
+    const materials = featureMaterials(style);
+    const group = new THREE.Group();
+    group.name = "modelGroup";
+    group.position.fromArray(position);
+    group.userData = userData;
+    meshes.forEach(({ featureClass, feature, attributes, index }) => {
+        const geometry = new THREE.BufferGeometry();
+        Object.keys(attributes).forEach(name => {
+            const { array, itemSize, normalized } = attributes[name];
+            geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized));
+        });
+        if (index) geometry.setIndex(new THREE.BufferAttribute(index, 1));
+        const mesh = new THREE.Mesh(geometry, materials[featureClass]);
+        mesh.userData.featureClass = featureClass;
+        if (feature !== undefined) mesh.userData.feature = feature;
+        group.add(mesh);
+    });
+    return group;
+}
@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+import { buildModel, printScene, serializeModel, deserializeModel, layerOf, mergePriority } from './model.js';
+import { parseOsmFile } from './osmFiles.js';
+import { ElevationGrid, ElevationModel } from './dem.js';
+import { mergeForPrint, checkPrintability } from './printability.js';
+import { splitIntoTiles } from './tiles.js';
+import { exportModel, exportTiles } from './exportModel.js';
+
+// The page's heavy work, run in a Web Worker (see worker.js): parsing map
+// files, building the model and preparing and serializing the export.
+// Requests are { id, type, ...payload } and run one at a time. The worker
+// posts { id, type: 'progress', stage, fraction } while it works, then
+// { id, type: 'done', result } or { id, type: 'error', message }.
+
+let font = null;
+
+// The lettering font, fetched once on the first build
+function loadFont() {
+    if (!font) {
+        font = fetch(new URL('../fonts/droid_sans_bold.typeface.json', import.meta.url))
+            .then(response => {
+                if (!response.ok) throw new Error(`The font request returned ${response.status}`);
+                return response.json();
+            })
+            .then(json => new THREE.Font(json))
+            .catch(error => {
+                console.error('Error loading the decoration font:', error);
+                return null;
+            });
+    }
+    return font;
+}
+
+// The export scene from the last check, kept for the export that follows it
+let prepared = null;
+
+const handlers = {
+    // { name, buffer } to { elements }
+    parse: ({ name, buffer }) => parseOsmFile(name, buffer),
+
+    // { data, outline, options } to a serialized model group; the options are
+    // those of buildModel, with the DEM as plain elevation grids
+    build: ({ data, outline, options }, progress) => {
+        const { elevationGrids, ...buildOptions } = options;
+        const elevationModel = elevationGrids ? new ElevationModel(elevationGrids.map(grid => new ElevationGrid(grid))) : null;
+        return loadFont().then(loadedFont => {
+            const group = buildModel(data, outline, { ...buildOptions, elevationModel, font: loadedFont, onProgress: progress });
+            progress('Sending the model');
+            const { model, transfer } = serializeModel(group);
+            return { result: model, transfer };
+        });
+    },
+
+    // { model, style, modelSizeMM, merge, nozzleWidth } to { issues }: the
+    // model scaled to millimetres, merged per layer if asked, and checked
+    check: ({ model, style, modelSizeMM, merge, nozzleWidth }, progress) => {
+        progress('Scaling to millimetres');
+        const exportScene = model ? printScene(deserializeModel(model, style), modelSizeMM) : new THREE.Scene();
+        let merged = Promise.resolve({ object: exportScene, issues: [] });
+        if (merge) {
+            progress('Merging layers');
+            merged = mergeForPrint(exportScene, layerOf, mergePriority).then(({ object, issues }) => {
+                const scene = new THREE.Scene();
+                scene.add(object);
+                return { object: scene, issues };
+            });
+        }
+        return merged.then(({ object, issues }) => {
+            progress('Checking printability');
+            return checkPrintability(object, layerOf, nozzleWidth).then(report => {
+                prepared = object;
+                return { result: { issues: issues.concat(report) } };
+            });
+        });
+    },
+
+    // { format, options, tiles } to { blob, filename, issues, sideFiles,
+    // tileIssues } for the scene prepared by the last check, cut into tiles
+    // when tiles.columns × tiles.rows is more than one
+    export: ({ format, options, tiles }, progress) => {
+        if (!prepared) return Promise.reject(new Error('Nothing has been prepared for export'));
+        const object = prepared;
+        const exportOptions = { ...options, layerOf };
+        const { columns, rows } = tiles;
+        if (columns * rows === 1) {
+            progress(`Writing ${format.toUpperCase()}`);
+            return exportModel(object, format, exportOptions).then(result => ({ result: { ...result, tileIssues: [] } }));
+        }
+        progress('Splitting into tiles');
+        return splitIntoTiles(object, tiles).then(({ tiles: pieces, issues: tileIssues }) => {
+            progress(`Writing ${pieces.length} tiles`);
+            return exportTiles(pieces.map(tile => {
+                const tileScene = new THREE.Scene();
+                tileScene.add(tile.object);
+                return { ...tile, object: tileScene };
+            }), format, exportOptions).then(result => ({ result: { ...result, tileIssues } }));
+        });
+    }
+};
+
+let queue = Promise.resolve();
+
+/**
+ * Runs one request after those before it. Handlers return either a result or
+ * { result, transfer } when the result owns buffers that should move.
+ */
+export function handleMessage({ id, type, ...payload }) {
+    queue = queue.then(() => {
+        const progress = progressReporter(id);
+        return Promise.resolve()
+            .then(() => {
+                if (!handlers[type]) throw new Error(`Unknown worker request "${type}"`);
+                return handlers[type](payload, progress);
+            })
+            .then(reply => {
+                const { result, transfer = [] } = reply && 'result' in reply ? reply : { result: reply };
+                self.postMessage({ id, type: 'done', result }, transfer);
+            })
+            .catch(error => {
+                console.error(`Error in worker request "${type}":`, error);
+                self.postMessage({ id, type: 'error', message: error.message });
+            });
+    });
+}
+
+// Progress messages are limited to a few a second within one stage
+function progressReporter(id) {
+    let lastStage = null;
+    let lastTime = 0;
+    return (stage, fraction) => {
+        const now = performance.now();
+        if (stage === lastStage && now - lastTime < 100) return;
+        lastStage = stage;
+        lastTime = now;
+        self.postMessage({ id, type: 'progress', stage, fraction });
+    };
+}
@@ -0,0 +1,210 @@
+// Helpers for the Overpass JSON element list: lookups, ring assembly for
+// multipolygon relations and parsing of OSM measurement tags.
+
+export function indexOsmElements(elements) {
+    const nodes = new Map();
+    const ways = new Map();
+    const relations = [];
+    elements.forEach(el => {
+        if (el.type === 'node') nodes.set(el.id, el);
+        else if (el.type === 'way') ways.set(el.id, el);
+        else if (el.type === 'relation') relations.push(el);
+    });
+    return { nodes, ways, relations };
+}
+
+export function isClosedWay(way) {
+    return way.nodes.length >= 4 && way.nodes[0] === way.nodes[way.nodes.length - 1];
+}
+
+// Node coordinates of a way, skipping nodes missing from the response
+export function wayCoordinates(way, nodes) {
+    return nodeCoordinates(way.nodes, nodes);
+}
+
+function nodeCoordinates(nodeIds, nodes) {
+    return nodeIds.map(id => nodes.get(id)).filter(node => node).map(node => ({ lat: node.lat, lon: node.lon }));
+}
+
+/**
+ * Assembles the member ways of a multipolygon relation into closed rings and
+ * pairs each inner ring with the outer ring containing it.
+ * Returns [{ outer: [{ lat, lon }], holes: [[{ lat, lon }]] }].
+ */
+export function multipolygonRings(relation, ways, nodes) {
+    const outerWays = [];
+    const innerWays = [];
+    relation.members.forEach(member => {
+        if (member.type !== 'way' || !ways.has(member.ref)) return;
+        (member.role === 'inner' ? innerWays : outerWays).push(ways.get(member.ref).nodes);
+    });
+
+    const outers = joinRings(outerWays).map(ring => nodeCoordinates(ring, nodes)).filter(ring => ring.length >= 4);
+    const inners = joinRings(innerWays).map(ring => nodeCoordinates(ring, nodes)).filter(ring => ring.length >= 4);
+
+    const polygons = outers.map(outer => ({ outer, holes: [] }));
+    inners.forEach(inner => {
+        const polygon = polygons.find(p => containsCoordinate(p.outer, inner[0]));
+        if (polygon) polygon.holes.push(inner);
+    });
+    return polygons;
+}
+
+// Joins open node-id chains end to end until they close; unclosable chains are dropped
+function joinRings(chains) {
+    const pending = chains.map(chain => chain.slice());
+    const rings = [];
+
+    while (pending.length > 0) {
+        let ring = pending.shift();
+        let extended = true;
+
+        while (ring[0] !== ring[ring.length - 1] && extended) {
+            extended = false;
+            for (let i = 0; i < pending.length; i++) {
+                const chain = pending[i];
+                const last = ring[ring.length - 1];
+                if (chain[0] === last) {
+                    ring = ring.concat(chain.slice(1));
+                } else if (chain[chain.length - 1] === last) {
+                    ring = ring.concat(chain.slice(0, -1).reverse());
+                } else {
+                    continue;
+                }
+                pending.splice(i, 1);
+                extended = true;
+                break;
+            }
+        }
+
+        if (ring.length >= 4 && ring[0] === ring[ring.length - 1]) rings.push(ring);
+    }
+
+    return rings;
+}
+
+export function containsCoordinate(ring, point) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i], b = ring[j];
+        if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+            point.lon < (b.lon - a.lon) * (point.lat - a.lat) / (b.lat - a.lat) + a.lon) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+export function ringCentroid(ring) {
+    const count = ring.length > 1 && ring[0].lat === ring[ring.length - 1].lat && ring[0].lon === ring[ring.length - 1].lon
+        ? ring.length - 1 : ring.length;
+    let lat = 0, lon = 0;
+    for (let i = 0; i < count; i++) {
+        lat += ring[i].lat;
+        lon += ring[i].lon;
+    }
+    return { lat: lat / count, lon: lon / count };
+}
+
+/**
+ * Parses an OSM length such as "12", "12.5 m", "40 ft" or 12'6" into metres.
+ * Returns undefined when the value cannot be read.
+ */
+export function parseLength(value) {
+    if (value === undefined || value === null) return undefined;
+    const text = String(value).trim().replace(',', '.');
+
+    const feetInches = /^(\d+(?:\.\d+)?)\s*'\s*(?:(\d+(?:\.\d+)?)\s*")?$/.exec(text);
+    if (feetInches) return parseFloat(feetInches[1]) * 0.3048 + (feetInches[2] ? parseFloat(feetInches[2]) * 0.0254 : 0);
+
+    const match = /^(-?\d+(?:\.\d+)?)\s*(m|km|ft|mi)?$/i.exec(text);
+    if (!match) return undefined;
+
+    const number = parseFloat(match[1]);
+    switch ((match[2] || 'm').toLowerCase()) {
+        case 'km': return number * 1000;
+        case 'ft': return number * 0.3048;
+        case 'mi': return number * 1609.344;
+        default: return number;
+    }
+}
+
+/**
+ * The elements of an OSM extract that touch a bounding box, in the shape of an
+ * Overpass response: nodes inside the box, ways with a node inside it and
+ * relations with a member that is kept. Kept ways bring all their nodes and
+ * kept relations all their member ways, so shapes crossing the edge stay whole.
+ */
+export function cropElements(elements, { south, west, north, east }) {
+    const { nodes, ways, relations } = indexOsmElements(elements);
+    const inside = node => node.lat >= south && node.lat <= north && node.lon >= west && node.lon <= east;
+
+    const keptWays = new Set();
+    ways.forEach(way => {
+        if (way.nodes.some(id => nodes.has(id) && inside(nodes.get(id)))) keptWays.add(way.id);
+    });
+    const keptRelations = new Set(relations.filter(relation => relation.members.some(member =>
+        (member.type === 'way' && keptWays.has(member.ref)) ||
+        (member.type === 'node' && nodes.has(member.ref) && inside(nodes.get(member.ref))))));
+    keptRelations.forEach(relation => relation.members.forEach(member => {
+        if (member.type === 'way' && ways.has(member.ref)) keptWays.add(member.ref);
+    }));
+
+    const keptNodes = new Set();
+    nodes.forEach(node => {
+        if (inside(node)) keptNodes.add(node.id);
+    });
+    keptWays.forEach(id => ways.get(id).nodes.forEach(nodeId => keptNodes.add(nodeId)));
+
+    return elements.filter(el =>
+        (el.type === 'node' && keptNodes.has(el.id)) ||
+        (el.type === 'way' && keptWays.has(el.id)) ||
+        (el.type === 'relation' && keptRelations.has(el)));
+}
+
+/**
+ * The Overpass QL query for everything the model uses inside an outline of
+ * { lat, lng } points, returned with the nodes of every way. Options:
+ * - timeoutS / maxSizeBytes: the server-side [timeout:] and [maxsize:]
+ * - areaTags: land cover and land use areas to include, as tag values by key
+ *   (see areaTagsOf in landcover.js)
+ * - count: ask only how many features there are, to size up a selection
+ *   before downloading it
+ */
+export function overpassQuery(outline, { timeoutS, maxSizeBytes, areaTags = {}, count = false } = {}) {
+    const area = `poly:"${outline.map(p => `${p.lat.toFixed(6)} ${p.lng.toFixed(6)}`).join(' ')}"`;
+    const settings = (timeoutS ? `[timeout:${Math.round(timeoutS)}]` : '') + (maxSizeBytes ? `[maxsize:${Math.round(maxSizeBytes)}]` : '');
+    const areas = Object.keys(areaTags).filter(key => areaTags[key].length > 0).map(key => {
+        const values = areaTags[key].map(value => value.replace(/[\\^$.*+?()[\]{}|"]/g, '\\\\$&')).join('|');
+        return `way["${key}"~"^(${values})$"](${area});
+            relation["${key}"~"^(${values})$"](${area});`;
+    });
+
+    return `
+        [out:json]${settings};
+        (
+            way[building](${area});
+            relation[building](${area});
+            way["building:part"](${area});
+            relation["building:part"](${area});
+            way[highway](${area});
+            way[railway~"^(rail|light_rail|tram|subway|narrow_gauge|monorail|funicular)$"](${area});
+            node[natural=tree](${area});
+            way[natural=tree_row](${area});
+            way[natural=water](${area});
+            relation[natural=water](${area});
+            way[waterway~"^(riverbank|river|canal|stream|drain|ditch)$"](${area});
+            relation[waterway=riverbank](${area});
+            way[landuse=reservoir](${area});
+            relation[landuse=reservoir](${area});
+            ${areas.join('\n            ')}
+        );
+        ${count ? 'out count;' : '(._;>;);\n        out;'}
+    `;
+}
+
+// The total from an `out count` response
+export function countedElements(data) {
+    const counter = (data.elements || []).find(el => el.type === 'count');
+    return counter ? parseInt(counter.tags.total, 10) : undefined;
+}
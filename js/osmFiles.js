@@ -0,0 +1,370 @@
+import { unzlibSync } from 'fflate';
+
+// Readers for local OSM extracts. Every format is normalized to the element
+// list Overpass returns with [out:json]: nodes { id, lat, lon }, ways
+// { id, nodes } and relations { id, members: [{ type, ref, role }] }, each
+// with optional tags.
+
+/**
+ * Parses an .osm (XML), .osm.pbf, .geojson or Overpass .json file into
+ * { elements }, picking the reader from the file name.
+ */
+export function parseOsmFile(name, buffer) {
+    const lower = name.toLowerCase();
+    if (lower.endsWith('.pbf')) return parseOsmPbf(buffer);
+    if (lower.endsWith('.osm') || lower.endsWith('.xml')) return parseOsmXml(new TextDecoder().decode(buffer));
+    if (lower.endsWith('.geojson') || lower.endsWith('.json')) {
+        const json = JSON.parse(new TextDecoder().decode(buffer));
+        return Array.isArray(json.elements) ? { elements: json.elements } : geoJsonToElements(json);
+    }
+    throw new Error(`Unsupported map data file "${name}"`);
+}
+
+// OSM XML as written by the editors, the API and osmium. The format is flat
+// enough to read with patterns, which also works where DOMParser does not.
+export function parseOsmXml(text) {
+    const elements = [];
+    const elementPattern = /<(node|way|relation)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+    let match;
+    while ((match = elementPattern.exec(text)) !== null) {
+        const [, type, attributeText, body = ''] = match;
+        const attributes = parseAttributes(attributeText);
+        if (attributes.action === 'delete' || attributes.visible === 'false') continue;
+
+        const element = { type, id: Number(attributes.id) };
+        if (type === 'node') {
+            element.lat = Number(attributes.lat);
+            element.lon = Number(attributes.lon);
+        } else if (type === 'way') {
+            element.nodes = childAttributes(body, 'nd').map(nd => Number(nd.ref));
+        } else {
+            element.members = childAttributes(body, 'member').map(member => ({
+                type: member.type,
+                ref: Number(member.ref),
+                role: member.role || ''
+            }));
+        }
+
+        const tags = childAttributes(body, 'tag');
+        if (tags.length > 0) {
+            element.tags = {};
+            tags.forEach(tag => {
+                element.tags[tag.k] = tag.v;
+            });
+        }
+        elements.push(element);
+    }
+    if (elements.length === 0 && !/<osm\b/.test(text)) throw new Error('The file is not OSM XML');
+    return { elements };
+}
+
+function childAttributes(body, tagName) {
+    const pattern = new RegExp(`<${tagName}\\b([^>]*?)\\/?>`, 'g');
+    const children = [];
+    let match;
+    while ((match = pattern.exec(body)) !== null) children.push(parseAttributes(match[1]));
+    return children;
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, name) => {
+        switch (name.toLowerCase()) {
+            case 'amp': return '&';
+            case 'lt': return '<';
+            case 'gt': return '>';
+            case 'quot': return '"';
+            case 'apos': return "'";
+            default:
+                return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+    });
+}
+
+/**
+ * GeoJSON features become elements with synthetic negative ids: points are
+ * nodes, lines are ways, polygons are closed ways, and polygons with holes or
+ * several parts are multipolygon relations. Properties become tags.
+ */
+export function geoJsonToElements(geoJson) {
+    const elements = [];
+    let nextId = -1;
+
+    const addNode = ([lon, lat], tags) => {
+        const node = { type: 'node', id: nextId--, lat, lon };
+        if (tags) node.tags = tags;
+        elements.push(node);
+        return node.id;
+    };
+    const addWay = (coordinates, tags) => {
+        const closed = coordinates.length > 2 && coordinates[0][0] === coordinates[coordinates.length - 1][0] &&
+            coordinates[0][1] === coordinates[coordinates.length - 1][1];
+        const nodes = (closed ? coordinates.slice(0, -1) : coordinates).map(coordinate => addNode(coordinate));
+        if (closed) nodes.push(nodes[0]);
+        const way = { type: 'way', id: nextId--, nodes };
+        if (tags) way.tags = tags;
+        elements.push(way);
+        return way.id;
+    };
+    const addPolygons = (polygons, tags) => {
+        if (polygons.length === 1 && polygons[0].length === 1) {
+            addWay(polygons[0][0], tags);
+            return;
+        }
+        const members = [];
+        polygons.forEach(rings => rings.forEach((ring, i) => {
+            members.push({ type: 'way', ref: addWay(ring), role: i === 0 ? 'outer' : 'inner' });
+        }));
+        elements.push({ type: 'relation', id: nextId--, members, tags: { ...tags, type: 'multipolygon' } });
+    };
+
+    const addGeometry = (geometry, tags) => {
+        if (!geometry) return;
+        switch (geometry.type) {
+            case 'Point': addNode(geometry.coordinates, tags); break;
+            case 'MultiPoint': geometry.coordinates.forEach(point => addNode(point, tags)); break;
+            case 'LineString': addWay(geometry.coordinates, tags); break;
+            case 'MultiLineString': geometry.coordinates.forEach(line => addWay(line, tags)); break;
+            case 'Polygon': addPolygons([geometry.coordinates], tags); break;
+            case 'MultiPolygon': addPolygons(geometry.coordinates, tags); break;
+            case 'GeometryCollection': geometry.geometries.forEach(part => addGeometry(part, tags)); break;
+            default: break;
+        }
+    };
+
+    const features = geoJson.type === 'FeatureCollection' ? geoJson.features
+        : geoJson.type === 'Feature' ? [geoJson]
+        : [{ type: 'Feature', geometry: geoJson, properties: {} }];
+    features.forEach(feature => addGeometry(feature.geometry, propertiesToTags(feature.properties)));
+
+    return { elements };
+}
+
+// Only scalar properties can be OSM tags; osmtogeojson nests them under `tags`
+function propertiesToTags(properties) {
+    const source = properties && typeof properties.tags === 'object' ? properties.tags : properties || {};
+    const tags = {};
+    Object.keys(source).forEach(key => {
+        const value = source[key];
+        if (value !== null && typeof value !== 'object') tags[key] = String(value);
+    });
+    return Object.keys(tags).length > 0 ? tags : undefined;
+}
+
+/**
+ * Reads an OSM PBF extract (the format Geofabrik and osmium produce): a
+ * sequence of zlib-compressed protobuf blocks holding dense nodes, ways and
+ * relations.
+ */
+export function parseOsmPbf(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const elements = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+        const headerLength = view.getUint32(offset);
+        offset += 4;
+        const header = readMessage(bytes.subarray(offset, offset + headerLength));
+        offset += headerLength;
+
+        const type = decodeString(header.get(1)[0]);
+        const dataSize = header.get(3)[0];
+        const blob = readMessage(bytes.subarray(offset, offset + dataSize));
+        offset += dataSize;
+
+        // The OSMHeader block only describes the extract
+        if (type === 'OSMData') readPrimitiveBlock(blobData(blob), elements);
+    }
+
+    return { elements };
+}
+
+function blobData(blob) {
+    if (blob.has(1)) return blob.get(1)[0];
+    if (blob.has(3)) return unzlibSync(blob.get(3)[0]);
+    throw new Error('The PBF file uses a compression other than zlib; re-save it with osmium');
+}
+
+function readPrimitiveBlock(data, elements) {
+    const block = readMessage(data);
+    const strings = readMessage(block.get(1)[0]).get(1) || [];
+    const table = strings.map(decodeString);
+    const granularity = block.has(17) ? block.get(17)[0] : 100;
+    const latOffset = block.has(19) ? block.get(19)[0] : 0;
+    const lonOffset = block.has(20) ? block.get(20)[0] : 0;
+    const toDegrees = (value, base) => 1e-9 * (base + granularity * value);
+
+    const tagsOf = (keys, values) => {
+        if (keys.length === 0) return undefined;
+        const tags = {};
+        keys.forEach((key, i) => {
+            tags[table[key]] = table[values[i]];
+        });
+        return tags;
+    };
+
+    (block.get(2) || []).forEach(groupData => {
+        const group = readMessage(groupData);
+
+        (group.get(1) || []).forEach(nodeData => {
+            const node = readMessage(nodeData);
+            const element = {
+                type: 'node',
+                id: zigzag(node.get(1)[0]),
+                lat: toDegrees(zigzag(node.get(8)[0]), latOffset),
+                lon: toDegrees(zigzag(node.get(9)[0]), lonOffset)
+            };
+            const tags = tagsOf(packed(node, 2), packed(node, 3));
+            if (tags) element.tags = tags;
+            elements.push(element);
+        });
+
+        (group.get(2) || []).forEach(denseData => {
+            const dense = readMessage(denseData);
+            const ids = deltas(packed(dense, 1).map(zigzag));
+            const lats = deltas(packed(dense, 8).map(zigzag));
+            const lons = deltas(packed(dense, 9).map(zigzag));
+            const keysValues = packed(dense, 10);
+            let k = 0;
+            ids.forEach((id, i) => {
+                const element = { type: 'node', id, lat: toDegrees(lats[i], latOffset), lon: toDegrees(lons[i], lonOffset) };
+                // Tags of all nodes run together as key, value pairs with a 0 after each node
+                if (k < keysValues.length) {
+                    const tags = {};
+                    let tagged = false;
+                    while (k < keysValues.length && keysValues[k] !== 0) {
+                        tags[table[keysValues[k]]] = table[keysValues[k + 1]];
+                        tagged = true;
+                        k += 2;
+                    }
+                    k++;
+                    if (tagged) element.tags = tags;
+                }
+                elements.push(element);
+            });
+        });
+
+        (group.get(3) || []).forEach(wayData => {
+            const way = readMessage(wayData);
+            const element = { type: 'way', id: way.get(1)[0], nodes: deltas(packed(way, 8).map(zigzag)) };
+            const tags = tagsOf(packed(way, 2), packed(way, 3));
+            if (tags) element.tags = tags;
+            elements.push(element);
+        });
+
+        (group.get(4) || []).forEach(relationData => {
+            const relation = readMessage(relationData);
+            const roles = packed(relation, 8);
+            const refs = deltas(packed(relation, 9).map(zigzag));
+            const types = packed(relation, 10);
+            const element = {
+                type: 'relation',
+                id: relation.get(1)[0],
+                members: refs.map((ref, i) => ({ type: ['node', 'way', 'relation'][types[i]], ref, role: table[roles[i]] }))
+            };
+            const tags = tagsOf(packed(relation, 2), packed(relation, 3));
+            if (tags) element.tags = tags;
+            elements.push(element);
+        });
+    });
+}
+
+/**
+ * Splits a protobuf message into a map from field number to the list of
+ * values: numbers for varints and fixed-width fields, byte arrays for
+ * length-delimited fields (strings, sub-messages and packed arrays).
+ */
+function readMessage(bytes) {
+    const fields = new Map();
+    const position = { offset: 0 };
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    while (position.offset < bytes.length) {
+        const key = readVarint(bytes, position);
+        const field = Math.floor(key / 8);
+        let value;
+        switch (key % 8) {
+            case 0:
+                value = readVarint(bytes, position);
+                break;
+            case 1:
+                value = Number(view.getBigUint64(position.offset, true));
+                position.offset += 8;
+                break;
+            case 2: {
+                const length = readVarint(bytes, position);
+                value = bytes.subarray(position.offset, position.offset + length);
+                position.offset += length;
+                break;
+            }
+            case 5:
+                value = view.getUint32(position.offset, true);
+                position.offset += 4;
+                break;
+            default:
+                throw new Error(`Unsupported protobuf wire type ${key % 8}`);
+        }
+        if (!fields.has(field)) fields.set(field, []);
+        fields.get(field).push(value);
+    }
+
+    return fields;
+}
+
+// Varints are built with arithmetic rather than bit operations, which would
+// truncate OSM ids beyond 32 bits. Plain int64 fields such as the block
+// offsets store negative values as ten-byte two's complement; those are
+// finished in BigInt so the low bits survive.
+function readVarint(bytes, position) {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+        byte = bytes[position.offset++];
+        value += (byte & 0x7f) * scale;
+        scale *= 128;
+    } while (byte & 0x80 && scale < 2 ** 49);
+    if (!(byte & 0x80)) return value;
+
+    let wide = BigInt(value);
+    let shift = 49n;
+    do {
+        byte = bytes[position.offset++];
+        wide += BigInt(byte & 0x7f) << shift;
+        shift += 7n;
+    } while (byte & 0x80);
+    return Number(BigInt.asIntN(64, wide));
+}
+
+// A packed repeated varint field, or an empty list when absent
+function packed(message, field) {
+    const values = [];
+    (message.get(field) || []).forEach(bytes => {
+        const position = { offset: 0 };
+        while (position.offset < bytes.length) values.push(readVarint(bytes, position));
+    });
+    return values;
+}
+
+function zigzag(value) {
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+function deltas(values) {
+    let running = 0;
+    return values.map(value => (running += value));
+}
+
+function decodeString(bytes) {
+    return new TextDecoder().decode(bytes);
+}
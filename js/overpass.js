@@ -0,0 +1,163 @@
+// Downloads from the Overpass API. Busy servers (429) and gateway errors are
+// retried with backoff, and a server that keeps failing or does not answer in
+// time hands over to the next mirror. What happens is reported as sentences
+// for a status line.
+
+// Public instances that serve the full planet
+export const overpassMirrors = [
+    'https://overpass-api.de/api/interpreter',
+    'https://overpass.kumi.systems/api/interpreter',
+    'https://overpass.private.coffee/api/interpreter'
+];
+
+const RETRY_STATUSES = [429, 502, 503, 504];
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * POSTs an Overpass QL query and resolves to the parsed JSON. Options:
+ * - endpoints: interpreter URLs to try in order
+ * - retries: further attempts at one endpoint after a 429 or gateway error
+ * - timeoutS: how long to wait for an answer before moving on; give the
+ *   query's own [timeout:] some headroom
+ * - signal: an AbortSignal that stops everything with an AbortError
+ * - onStatus(message): progress to show the user
+ */
+export function fetchOverpass(query, { endpoints, retries = 2, timeoutS = 120, signal, onStatus = () => {} }) {
+    const failures = [];
+
+    const attempt = (index, retry) => {
+        if (index >= endpoints.length) {
+            return Promise.reject(new Error(`No Overpass server could answer (${failures.join('; ')})`));
+        }
+        const endpoint = endpoints[index];
+        const host = hostOf(endpoint);
+        const next = reason => {
+            failures.push(`${host}: ${reason}`);
+            if (index + 1 < endpoints.length) onStatus(`${host} ${reason}; trying ${hostOf(endpoints[index + 1])}…`);
+            return attempt(index + 1, 0);
+        };
+
+        onStatus(retry === 0 ? `Downloading map data from ${host}…` : `Asking ${host} again (attempt ${retry + 1})…`);
+        return requestWithTimeout(endpoint, query, timeoutS, signal).then(({ response, body }) => {
+            if (response.ok) {
+                // Overpass reports a query that ran out of time or memory in
+                // a remark next to whatever it had collected so far
+                if (body.remark && /error/i.test(body.remark)) {
+                    throw new Error(`Overpass stopped the query: ${body.remark.trim()} Try a smaller area or a longer timeout.`);
+                }
+                return body;
+            }
+            if (RETRY_STATUSES.includes(response.status)) {
+                if (retry < retries) {
+                    const delay = retryDelay(response, retry);
+                    onStatus(`${host} ${describeStatus(response.status)}; trying again in ${Math.round(delay / 1000)} s…`);
+                    return wait(delay, signal).then(() => attempt(index, retry + 1));
+                }
+                return next(describeStatus(response.status));
+            }
+            // Anything else means the query itself was refused
+            throw new Error(`${host} refused the query (${response.status}): ${errorText(body)}`);
+        }, error => {
+            if (error.name === 'AbortError') throw error;
+            if (error.name === 'TimeoutError') return next(`did not answer within ${timeoutS} s`);
+            // A successful status with a body that is not JSON, such as a
+            // proxy's error page, still counts against the server
+            if (error.name === 'SyntaxError') return next('sent an invalid response');
+            return next('could not be reached');
+        });
+    };
+
+    return attempt(0, 0);
+}
+
+// A fetch that also gives up after timeoutS, rejecting with a TimeoutError.
+// The time covers reading the body too, so resolves to { response, body }
+// with the parsed JSON of a successful response and the text of any other.
+function requestWithTimeout(endpoint, query, timeoutS, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutS * 1000);
+    const onAbort = () => controller.abort();
+    if (signal) {
+        if (signal.aborted) controller.abort();
+        signal.addEventListener('abort', onAbort);
+    }
+    const cleanUp = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    return fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: 'data=' + encodeURIComponent(query),
+        signal: controller.signal
+    }).then(response => (response.ok ? response.json() : response.text()).then(body => {
+        cleanUp();
+        return { response, body };
+    })).catch(error => {
+        cleanUp();
+        if (timedOut) {
+            const timeout = new Error(`No answer within ${timeoutS} s`);
+            timeout.name = 'TimeoutError';
+            throw timeout;
+        }
+        throw error;
+    });
+}
+
+// Exponential backoff from 2 s, or longer if the server says so
+function retryDelay(response, retry) {
+    const retryAfter = parseFloat(response.headers.get('Retry-After'));
+    const backoff = 2000 * Math.pow(2, retry);
+    return Math.min(MAX_RETRY_DELAY_MS, Math.max(backoff, retryAfter > 0 ? retryAfter * 1000 : 0));
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(cancelled());
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(cancelled());
+            }, { once: true });
+        }
+    });
+}
+
+function cancelled() {
+    const error = new Error('Cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+function describeStatus(status) {
+    switch (status) {
+        case 429: return 'is rate limiting this address (429)';
+        case 504: return 'timed out behind its gateway (504)';
+        default: return `is unavailable (${status})`;
+    }
+}
+
+function hostOf(endpoint) {
+    try {
+        return new URL(endpoint).host;
+    } catch (error) {
+        return endpoint;
+    }
+}
+
+// The error lines of an Overpass HTML error page, as plain text
+function errorText(html) {
+    const text = html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').replace(/ ([:.,])/g, '$1').trim();
+    const start = text.indexOf('Error:');
+    const message = start >= 0 ? text.slice(start) : text;
+    return message.length > 300 ? `${message.slice(0, 300)}…` : message;
+}
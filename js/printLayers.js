@@ -0,0 +1,185 @@
+import { areaClasses } from './landcover.js';
+import { styleRoadClasses } from './style.js';
+
+// Colour changes by height, for printers with a single extruder: every
+// printed height is snapped to the layer grid (the first layer, then whole
+// layers), and each feature class is lifted so its surfaces sit above those
+// of the classes beneath it. A filament change at the top of each class then
+// prints every class in its own colour. Only the tops show, so the walls
+// below them come out striped.
+
+/**
+ * A copy of `style` fitted to layers layerHeightMM thick above a first layer
+ * firstLayerMM thick, with the classes in `present` (a Set of feature
+ * classes) stacked into their own height bands. Returns { style, bands },
+ * where bands lists { featureClass, topMM } from the bottom up: the printed
+ * height of the highest surface of each class, which is where the next
+ * colour starts.
+ */
+export function fitToLayers(style, present, { layerHeightMM, firstLayerMM }) {
+    const fitted = JSON.parse(JSON.stringify(style));
+    const layers = mm => Math.round(mm / layerHeightMM + 1e-9); // Halves round up despite float error
+    const snap = mm => Math.max(1, layers(mm)) * layerHeightMM;
+
+    // Water drops whole layers below the land into a recess at least one
+    // layer deeper, and the top of the base is a layer top high enough to
+    // leave the first layer beneath the recess
+    fitted.water.surfaceMM = round(snap(style.water.surfaceMM));
+    fitted.water.depthMM = round(Math.max(snap(style.water.depthMM), fitted.water.surfaceMM + layerHeightMM));
+    const recessMM = present.has('water') ? fitted.water.depthMM : 0;
+    fitted.base.thicknessMM = round(firstLayerMM + Math.max(0, layers(style.base.thicknessMM - firstLayerMM), layers(recessMM)) * layerHeightMM);
+
+    const bands = [];
+    if (present.has('water')) bands.push({ featureClass: 'water', topMM: round(fitted.base.thicknessMM - fitted.water.surfaceMM) });
+    bands.push({ featureClass: 'base', topMM: fitted.base.thicknessMM });
+
+    // Heights above the land, lowest first. Everything that lies on the land
+    // stacks in order of height; bridges, trees and buildings stand above it.
+    let top = 0;
+    const stack = (featureClass, heights, fit) => {
+        const lowest = Math.min(...heights.map(snap));
+        const shift = Math.max(0, top + layerHeightMM - lowest);
+        top = fit(mm => round(snap(mm) + shift), top + layerHeightMM);
+        bands.push({ featureClass, topMM: round(fitted.base.thicknessMM + top) });
+    };
+
+    const flat = flatHeights(style).filter(({ featureClass }) => present.has(featureClass));
+    flat.sort((a, b) => Math.max(...a.heights) - Math.max(...b.heights));
+    flat.forEach(({ featureClass, heights, apply }) => stack(featureClass, heights, lift => {
+        apply(fitted, lift);
+        return Math.max(...heights.map(lift));
+    }));
+
+    if (present.has('bridges')) {
+        const { clearanceMM, deckMM } = style.bridges;
+        stack('bridges', [clearanceMM + deckMM], (lift, floor) => {
+            fitted.bridges.deckMM = round(snap(deckMM));
+            const deckTopMM = Math.max(lift(clearanceMM + deckMM), floor, fitted.bridges.deckMM + layerHeightMM);
+            fitted.bridges.clearanceMM = round(deckTopMM - fitted.bridges.deckMM);
+            return deckTopMM;
+        });
+    }
+
+    // Round trees are sized by their diameter, so they grow to clear the band
+    if (present.has('trees')) {
+        const { spheres, heightMM, diameterMM } = style.trees;
+        stack('trees', [spheres ? 0.8 * diameterMM : heightMM], (lift, floor) => {
+            const treeMM = Math.max(snap(spheres ? 0.8 * diameterMM : heightMM), floor);
+            if (spheres) fitted.trees.diameterMM = round(treeMM / 0.8);
+            else fitted.trees.heightMM = round(treeMM);
+            return treeMM;
+        });
+    }
+
+    // Buildings keep their range, only raising the lowest
+    if (present.has('buildings')) {
+        const { minHeightMM, maxHeightMM } = style.buildings;
+        stack('buildings', [minHeightMM], (lift, floor) => {
+            fitted.buildings.minHeightMM = round(Math.max(snap(minHeightMM), floor));
+            fitted.buildings.maxHeightMM = round(Math.max(snap(maxHeightMM), fitted.buildings.minHeightMM));
+            return fitted.buildings.maxHeightMM;
+        });
+    }
+
+    return { style: fitted, bands };
+}
+
+// The heights above the land of each class that lies on it, with how to set
+// them in a fitted style
+function flatHeights(style) {
+    const classes = areaClasses(style).filter(featureClass => style[featureClass].heightMM > 0).map(featureClass => ({
+        featureClass,
+        heights: [style[featureClass].heightMM],
+        apply: (fitted, lift) => {
+            fitted[featureClass].heightMM = lift(style[featureClass].heightMM);
+        }
+    }));
+
+    const roadClasses = styleRoadClasses(style);
+    const roadNames = Object.keys(roadClasses).filter(name => style.roads.showMinor || !roadClasses[name].minor);
+    if (roadNames.length > 0) {
+        classes.push({
+            featureClass: 'roads',
+            heights: roadNames.map(name => roadClasses[name].heightMM),
+            apply: (fitted, lift) => roadNames.forEach(name => {
+                fitted.roads.classes[name] = { ...style.roads.classes[name], heightMM: lift(roadClasses[name].heightMM) };
+            })
+        });
+    }
+
+    classes.push({
+        featureClass: 'railways',
+        heights: [style.railways.heightMM],
+        apply: (fitted, lift) => {
+            fitted.railways.heightMM = lift(style.railways.heightMM);
+        }
+    });
+
+    const { frame, frameHeightMM, reliefMM } = style.decorations;
+    const heights = (frame ? [frameHeightMM] : []).concat(raisedDecorations(style.decorations) ? [reliefMM] : []);
+    if (heights.length > 0) {
+        classes.push({
+            featureClass: 'decorations',
+            heights,
+            apply: (fitted, lift) => {
+                fitted.decorations.frameHeightMM = lift(frameHeightMM);
+                fitted.decorations.reliefMM = lift(reliefMM);
+            }
+        });
+    }
+    return classes;
+}
+
+// Whether any decoration other than the frame stands above the land
+function raisedDecorations({ title, engraveTitle, northArrow, scaleBar }) {
+    return northArrow || scaleBar || (title && !engraveTitle);
+}
+
+/**
+ * The filament changes that print each band of `printLayers` (a model's
+ * userData.printLayers) in the colour `style` gives its feature class,
+ * named as in `classes` (featureClasses). Returns the layer heights
+ * and terrain flag with { start, changes }, where start is the first class
+ * and each change is { featureClass, name, color, layer, z }: the 1-based
+ * number of the first layer in the new colour and the height of its top.
+ * Neighbouring bands of the same colour print as one.
+ */
+export function colourChangePlan({ layerHeightMM, firstLayerMM, bands, terrain }, style, classes) {
+    const changes = [];
+    bands.forEach(({ featureClass }, i) => {
+        const change = { featureClass, name: classes[featureClass].name, color: style[featureClass].color };
+        if (i === 0) {
+            changes.push({ ...change, layer: 1, z: firstLayerMM });
+        } else if (change.color !== changes[changes.length - 1].color) {
+            const layer = Math.round((bands[i - 1].topMM - firstLayerMM) / layerHeightMM) + 2;
+            changes.push({ ...change, layer, z: round(firstLayerMM + (layer - 1) * layerHeightMM) });
+        }
+    });
+    return { layerHeightMM, firstLayerMM, terrain, start: changes[0], changes: changes.slice(1) };
+}
+
+/**
+ * The plan as text to print from: the filament to start with, each change,
+ * and a "before layer change" custom G-code that makes them, which
+ * PrusaSlicer, Bambu Studio and OrcaSlicer all understand.
+ */
+export function colourPlanText({ layerHeightMM, firstLayerMM, terrain, start, changes }) {
+    const lines = [`Colour changes for ${layerHeightMM} mm layers on a ${firstLayerMM} mm first layer`];
+    if (terrain) lines.push('The model follows the terrain, so each colour only covers its class on level ground.');
+    lines.push('', `Start with ${start.name} (${start.color})`);
+    changes.forEach(({ name, color, layer, z }) => {
+        lines.push(`Layer ${layer} (Z ${z.toFixed(2)} mm): change to ${name} (${color})`);
+    });
+    if (changes.length > 0) {
+        lines.push('', 'Before layer change G-code (layer_num counts from 0):', '');
+        changes.forEach(({ name, layer }, i) => {
+            lines.push(`{${i === 0 ? 'if' : 'elsif'} layer_num == ${layer - 1}}M600 ; ${name}`);
+        });
+        lines.push('{endif}');
+    }
+    return lines.join('\n') + '\n';
+}
+
+function round(mm) {
+    return Math.round(mm * 1000) / 1000;
+}
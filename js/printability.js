@@ -0,0 +1,387 @@
+import * as THREE from 'three';
+
+// Print preparation on an export scene that is already scaled to millimetres:
+// merging each layer into one manifold solid and checking what slicers
+// commonly reject. Geometry goes through Manifold (Z-up) and comes back Y-up.
+
+const Z_UP = new THREE.Matrix4().makeRotationX(Math.PI / 2);
+const Y_UP = new THREE.Matrix4().makeRotationX(-Math.PI / 2);
+
+let manifoldModule = null;
+
+// The Manifold WebAssembly module is only fetched once printing needs it
+export function loadManifold() {
+    if (!manifoldModule) {
+        manifoldModule = import('manifold-3d')
+            .then(({ default: Module }) => Module())
+            .then(wasm => {
+                wasm.setup();
+                return wasm;
+            });
+    }
+    return manifoldModule;
+}
+
+/**
+ * Replaces the meshes of each layer with their boolean union, and makes the
+ * layers disjoint: a layer earlier in `priority` keeps the space it shares
+ * with later ones, so buildings are cut out of the base rather than buried in
+ * it. Meshes that are not closed solids cannot be merged and are passed
+ * through unchanged.
+ * Resolves to { object, issues } with a new Y-up group of meshes.
+ */
+export function mergeForPrint(object, layerOf, priority = []) {
+    return loadManifold().then(({ Manifold }) => {
+        const layers = collectLayers(object, layerOf);
+        const names = priority.filter(name => layers.has(name))
+            .concat([...layers.keys()].filter(name => !priority.includes(name)));
+
+        const group = new THREE.Group();
+        const issues = [];
+        let covered = null;
+
+        names.forEach(name => {
+            const meshes = layers.get(name);
+            const solids = [];
+            const unmerged = [];
+            meshes.forEach(mesh => {
+                const solid = toManifold(Manifold, mesh);
+                if (solid) solids.push(solid);
+                else unmerged.push(mesh);
+            });
+
+            if (solids.length > 0) {
+                const union = Manifold.union(solids);
+                solids.forEach(solid => solid.delete());
+
+                const layer = covered ? union.subtract(covered) : union;
+                if (!layer.isEmpty()) {
+                    const merged = new THREE.Mesh(fromManifold(layer), meshes[0].material);
+                    merged.userData = { ...meshes[0].userData };
+                    group.add(merged);
+                }
+
+                if (covered) {
+                    const next = Manifold.union(covered, union);
+                    [covered, layer, union].forEach(solid => solid.delete());
+                    covered = next;
+                } else {
+                    covered = union;
+                }
+            }
+
+            unmerged.forEach(mesh => {
+                const copy = new THREE.Mesh(mesh.geometry.clone().applyMatrix4(mesh.matrixWorld), mesh.material);
+                copy.userData = { ...mesh.userData };
+                group.add(copy);
+            });
+            if (unmerged.length > 0) {
+                issues.push({ severity: 'warning', message: `${name}: ${unmerged.length} mesh(es) are not closed, outward-facing solids and were exported unmerged` });
+            }
+        });
+
+        if (covered) covered.delete();
+        group.updateMatrixWorld(true);
+        return { object: group, issues };
+    });
+}
+
+/**
+ * Checks the meshes of an export scene for open edges, flipped faces,
+ * self-intersections, overlapping solids and features narrower than
+ * `nozzleWidth` millimetres. Resolves to [{ severity, message }] in the same
+ * form as the 3MF validator.
+ */
+export function checkPrintability(object, layerOf, nozzleWidth = 0.4) {
+    return loadManifold().then(({ Manifold, CrossSection }) => {
+        const issues = [];
+        const layers = collectLayers(object, layerOf);
+        const surfaces = [];
+
+        layers.forEach((meshes, name) => {
+            let openEdges = 0, flippedEdges = 0, insideOut = 0;
+            const footprints = [];
+
+            meshes.forEach(mesh => {
+                const surface = weld(mesh);
+                surface.layer = name;
+                surfaces.push(surface);
+
+                const edges = countEdges(surface.triangles);
+                openEdges += edges.open;
+                flippedEdges += edges.flipped;
+                if (edges.open === 0 && edges.flipped === 0 && signedVolume(surface) < 0) insideOut++;
+
+                const solid = toManifold(Manifold, mesh);
+                if (solid) {
+                    footprints.push(solid.project());
+                    solid.delete();
+                }
+            });
+
+            if (openEdges > 0) {
+                issues.push({ severity: 'error', message: `${name}: ${openEdges} open edge(s); the layer is not watertight` });
+            }
+            if (flippedEdges > 0 || insideOut > 0) {
+                const parts = [];
+                if (flippedEdges > 0) parts.push(`${flippedEdges} edge(s) between faces with opposite normals`);
+                if (insideOut > 0) parts.push(`${insideOut} inside-out mesh(es)`);
+                issues.push({ severity: 'error', message: `${name}: flipped normals (${parts.join(', ')})` });
+            }
+
+            if (footprints.length > 0) {
+                const thin = countThinFeatures(CrossSection.union(footprints), nozzleWidth);
+                footprints.forEach(footprint => footprint.delete());
+                if (thin > 0) {
+                    issues.push({ severity: 'warning', message: `${name}: ${thin} feature(s) narrower than the ${nozzleWidth} mm nozzle` });
+                }
+            }
+        });
+
+        const { selfIntersections, overlaps } = findIntersections(surfaces);
+        selfIntersections.forEach((count, name) => {
+            issues.push({ severity: 'warning', message: `${name}: ${count} self-intersecting face pair(s)` });
+        });
+        overlaps.forEach((count, key) => {
+            issues.push({ severity: 'warning', message: `${key}: ${count} face pair(s) of separate solids intersect; "Merge for print" resolves this` });
+        });
+
+        return issues;
+    });
+}
+
+function collectLayers(object, layerOf) {
+    object.updateMatrixWorld(true);
+    const layers = new Map();
+    object.traverse(child => {
+        if (!child.isMesh) return;
+        const layer = layerOf(child);
+        if (!layers.has(layer)) layers.set(layer, []);
+        layers.get(layer).push(child);
+    });
+    return layers;
+}
+
+// Shared vertices are identified by position, as most three.js geometries
+// repeat them per face. Merged layers are flagged as already welded: Manifold
+// keeps coincident vertices apart where a solid touches itself.
+function weld(mesh, matrix = mesh.matrixWorld) {
+    const position = mesh.geometry.getAttribute('position');
+    const index = mesh.geometry.getIndex();
+    const welded = mesh.geometry.userData.welded === true;
+    const flip = matrix.determinant() < 0;
+    const vertex = new THREE.Vector3();
+    const ids = new Map();
+    const positions = [];
+    const remap = [];
+
+    for (let i = 0; i < position.count; i++) {
+        vertex.fromBufferAttribute(position, i).applyMatrix4(matrix);
+        const key = welded ? i : `${vertex.x},${vertex.y},${vertex.z}`;
+        if (!ids.has(key)) {
+            ids.set(key, positions.length / 3);
+            positions.push(vertex.x, vertex.y, vertex.z);
+        }
+        remap.push(ids.get(key));
+    }
+
+    const triangles = [];
+    const count = index ? index.count : position.count;
+    for (let i = 0; i + 2 < count; i += 3) {
+        const a = remap[index ? index.getX(i) : i];
+        const b = remap[index ? index.getX(i + 1) : i + 1];
+        const c = remap[index ? index.getX(i + 2) : i + 2];
+        if (a === b || b === c || c === a) continue;
+        if (flip) triangles.push(a, c, b);
+        else triangles.push(a, b, c);
+    }
+
+    return { positions, triangles };
+}
+
+// A mesh in its world position as a Manifold solid, or null when it is not a
+// closed, outward-facing solid
+export function toManifold(Manifold, mesh) {
+    const { positions, triangles } = weld(mesh, new THREE.Matrix4().multiplyMatrices(Z_UP, mesh.matrixWorld));
+    if (triangles.length === 0) return null;
+    let solid;
+    try {
+        solid = Manifold.ofMesh({
+            numProp: 3,
+            vertProperties: new Float32Array(positions),
+            triVerts: new Uint32Array(triangles)
+        });
+    } catch (error) {
+        return null;
+    }
+
+    // Inside-out meshes are valid manifolds but would subtract when merged
+    if (solid.volume() > 0) return solid;
+    solid.delete();
+    return null;
+}
+
+// A Y-up geometry from a Manifold solid, flagged as already welded
+export function fromManifold(solid) {
+    const mesh = solid.getMesh();
+    const geometry = new THREE.BufferGeometry();
+    const positions = [];
+    for (let i = 0; i < mesh.vertProperties.length; i += mesh.numProp) {
+        positions.push(mesh.vertProperties[i], mesh.vertProperties[i + 1], mesh.vertProperties[i + 2]);
+    }
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(Array.from(mesh.triVerts));
+    geometry.applyMatrix4(Y_UP);
+    geometry.computeVertexNormals();
+    geometry.userData.welded = true;
+    return geometry;
+}
+
+// Open edges belong to one face only; flipped ones are shared by two faces
+// that run along them in the same direction
+function countEdges(triangles) {
+    const directed = new Map();
+    for (let i = 0; i < triangles.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            const key = `${triangles[i + k]}_${triangles[i + (k + 1) % 3]}`;
+            directed.set(key, (directed.get(key) || 0) + 1);
+        }
+    }
+
+    let open = 0, flipped = 0;
+    directed.forEach((uses, key) => {
+        const [a, b] = key.split('_');
+        if (uses > 1) flipped++;
+        else if (!directed.has(`${b}_${a}`)) open++;
+    });
+    return { open, flipped };
+}
+
+function signedVolume({ positions, triangles }) {
+    let volume = 0;
+    for (let i = 0; i < triangles.length; i += 3) {
+        const [a, b, c] = [triangles[i], triangles[i + 1], triangles[i + 2]].map(v => v * 3);
+        volume += positions[a] * (positions[b + 1] * positions[c + 2] - positions[b + 2] * positions[c + 1]) -
+            positions[a + 1] * (positions[b] * positions[c + 2] - positions[b + 2] * positions[c]) +
+            positions[a + 2] * (positions[b] * positions[c + 1] - positions[b + 1] * positions[c]);
+    }
+    return volume / 6;
+}
+
+// Morphological opening: what disappears when the footprint is shrunk and
+// regrown by half the nozzle width cannot be extruded. Pieces smaller than a
+// nozzle-wide square are the rounding of ordinary corners.
+function countThinFeatures(footprint, nozzleWidth) {
+    const radius = nozzleWidth / 2;
+    const shrunk = footprint.offset(-radius, 'Round');
+    const opened = shrunk.offset(radius, 'Round');
+    const thin = footprint.subtract(opened);
+    const pieces = thin.decompose();
+    const count = pieces.filter(piece => piece.area() > nozzleWidth * nozzleWidth).length;
+    [shrunk, opened, thin, footprint].concat(pieces).forEach(section => section.delete());
+    return count;
+}
+
+/**
+ * Finds face pairs that cross each other, sweeping along one axis so only
+ * faces whose bounding boxes overlap are compared. Faces that only touch, or
+ * that share a vertex within one mesh, do not count. Returns counts of
+ * self-intersections per layer and of intersections between separate meshes
+ * per layer pair.
+ */
+function findIntersections(surfaces) {
+    const faces = [];
+    surfaces.forEach((surface, surfaceIndex) => {
+        const { positions, triangles } = surface;
+        for (let i = 0; i < triangles.length; i += 3) {
+            const corners = [0, 1, 2].map(k => new THREE.Vector3().fromArray(positions, triangles[i + k] * 3));
+            const plane = new THREE.Plane().setFromCoplanarPoints(corners[0], corners[1], corners[2]);
+            if (!Number.isFinite(plane.constant)) continue;
+            faces.push({
+                surface: surfaceIndex,
+                ids: triangles.slice(i, i + 3),
+                corners,
+                plane,
+                bounds: new THREE.Box3().setFromPoints(corners)
+            });
+        }
+    });
+
+    // Sweep along the axis where faces are narrowest relative to the model,
+    // which keeps the faces compared per step few; long slivers are common in
+    // merged layers
+    const box = new THREE.Box3();
+    faces.forEach(face => box.union(face.bounds));
+    const spread = axis => faces.reduce((sum, face) => sum + face.bounds.max[axis] - face.bounds.min[axis], 0) /
+        (box.max[axis] - box.min[axis] || 1);
+    const [axis, u, v] = ['x', 'y', 'z'].map(name => [name, spread(name)]).sort((p, q) => p[1] - q[1])
+        .map(([name]) => name);
+    faces.sort((a, b) => a.bounds.min[axis] - b.bounds.min[axis]);
+
+    const selfIntersections = new Map();
+    const overlaps = new Map();
+    const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+    for (let m = 0; m < faces.length; m++) {
+        const a = faces[m];
+        for (let n = m + 1; n < faces.length && faces[n].bounds.min[axis] <= a.bounds.max[axis]; n++) {
+            const b = faces[n];
+            if (b.bounds.min[u] > a.bounds.max[u] || b.bounds.max[u] < a.bounds.min[u] ||
+                b.bounds.min[v] > a.bounds.max[v] || b.bounds.max[v] < a.bounds.min[v]) continue;
+            if (a.surface === b.surface && a.ids.some(id => b.ids.includes(id))) continue;
+            if (!facesCross(a, b)) continue;
+
+            const layerA = surfaces[a.surface].layer, layerB = surfaces[b.surface].layer;
+            if (a.surface === b.surface) increment(selfIntersections, layerA);
+            else increment(overlaps, layerA === layerB ? layerA : [layerA, layerB].sort().join(' / '));
+        }
+    }
+
+    return { selfIntersections, overlaps };
+}
+
+// Ten microns, far below what a printer resolves
+const EPSILON = 1e-2;
+
+const direction = new THREE.Vector3();
+
+// True when each face passes through the other's plane and the two
+// cross-sections overlap (Möller's interval test); coplanar and merely
+// touching faces are left alone
+function facesCross(a, b) {
+    const da = a.corners.map(v => b.plane.distanceToPoint(v));
+    if (!straddles(da)) return false;
+    const db = b.corners.map(v => a.plane.distanceToPoint(v));
+    if (!straddles(db)) return false;
+
+    direction.crossVectors(a.plane.normal, b.plane.normal);
+    if (direction.lengthSq() < 1e-12) return false;
+
+    const [a0, a1] = interval(a.corners, da, direction);
+    const [b0, b1] = interval(b.corners, db, direction);
+    return Math.min(a1, b1) - Math.max(a0, b0) > EPSILON;
+}
+
+function straddles(distances) {
+    return distances.some(d => d > EPSILON) && distances.some(d => d < -EPSILON);
+}
+
+// Where a face crosses the other plane, as a range along `direction`
+function interval(corners, distances, direction) {
+    const projections = corners.map(v => v.dot(direction));
+    let min = Infinity, max = -Infinity;
+    for (let i = 0; i < 3; i++) {
+        const j = (i + 1) % 3;
+        const di = distances[i], dj = distances[j];
+        let value = null;
+        if (Math.abs(di) <= EPSILON) value = projections[i];
+        else if ((di > EPSILON && dj < -EPSILON) || (di < -EPSILON && dj > EPSILON)) {
+            value = projections[i] + (projections[j] - projections[i]) * di / (di - dj);
+        }
+        if (value !== null) {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+    }
+    return [min, max];
+}
@@ -0,0 +1,142 @@
+import { defaultStyle, normalizeStyle } from './style.js';
+
+// Projects hold everything needed to rebuild a model: the selection outline,
+// the settings, the layer style and the downloaded map data. They are saved as
+// JSON files, and all but the map data also fit in a link as the URL hash.
+// Settings are a flat object of input values keyed by the input's id.
+
+const PROJECT_VERSION = 1;
+
+// Six decimals are about 10 cm, and match the precision of the Overpass query
+// and of the download cache, so a link reopens the same cached area
+const DECIMALS = 6;
+
+/**
+ * The project file contents for an outline of { lat, lng } points and its
+ * rotation, the settings, the style and the Overpass-style map data
+ * ({ elements }).
+ */
+export function createProject({ outline, rotation = 0, settings, style, data }) {
+    return {
+        version: PROJECT_VERSION,
+        outline: outline.map(p => ({ lat: round(p.lat), lng: round(p.lng) })),
+        rotation,
+        settings,
+        style,
+        data
+    };
+}
+
+/**
+ * Reads a project file, throwing an Error that says what is wrong with it.
+ * The style is normalized like a preset; the data must be present.
+ */
+export function parseProject(text) {
+    const project = JSON.parse(text);
+    if (!project || typeof project !== 'object' || Array.isArray(project)) {
+        throw new Error('A project must be a JSON object');
+    }
+    if (!(project.version <= PROJECT_VERSION)) {
+        throw new Error(`Unsupported project version ${project.version}`);
+    }
+    const outline = parseOutline(project.outline);
+    if (!project.data || !Array.isArray(project.data.elements)) {
+        throw new Error('The project has no map data');
+    }
+    return {
+        outline,
+        rotation: parseRotation(project.rotation || 0),
+        settings: parseSettings(project.settings || {}),
+        style: normalizeStyle(project.style || {}),
+        data: project.data
+    };
+}
+
+/**
+ * The URL hash (without the #) for a selection and its settings, such as
+ * "area=53.5,-113.5,53.5,-113.4,53.6,-113.4&rotation=30&model-size=150".
+ * Only settings that differ from `defaults` and style values that differ
+ * from the default style are written, to keep links short.
+ */
+export function encodeHash({ outline, rotation = 0, settings, defaults = {}, style }) {
+    const parts = [];
+    if (outline) {
+        parts.push(`area=${outline.map(p => `${round(p.lat)},${round(p.lng)}`).join(',')}`);
+        if (rotation) parts.push(`rotation=${parseFloat(rotation.toFixed(2))}`);
+    }
+    Object.keys(settings).forEach(id => {
+        if (settings[id] !== defaults[id]) parts.push(`${id}=${encodeURIComponent(settings[id])}`);
+    });
+    const changes = style && styleChanges(style);
+    if (changes && Object.keys(changes).length > 0) {
+        parts.push(`style=${encodeURIComponent(JSON.stringify(changes))}`);
+    }
+    return parts.join('&');
+}
+
+/**
+ * Reads a URL hash written by encodeHash, with or without the leading #, to
+ * { outline, rotation, settings, style }. The outline and style are null
+ * when the hash does not have them; settings come back as strings.
+ */
+export function decodeHash(hash) {
+    const result = { outline: null, rotation: 0, settings: {}, style: null };
+    hash.replace(/^#/, '').split('&').filter(part => part).forEach(part => {
+        const separator = part.indexOf('=');
+        const key = separator >= 0 ? part.slice(0, separator) : part;
+        const value = separator >= 0 ? decodeURIComponent(part.slice(separator + 1)) : '';
+        if (key === 'area') {
+            const numbers = value.split(',').map(Number);
+            const outline = [];
+            for (let i = 0; i + 1 < numbers.length; i += 2) outline.push({ lat: numbers[i], lng: numbers[i + 1] });
+            result.outline = parseOutline(outline);
+        } else if (key === 'rotation') {
+            result.rotation = parseRotation(Number(value));
+        } else if (key === 'style') {
+            result.style = normalizeStyle(JSON.parse(value));
+        } else {
+            result.settings[key] = value;
+        }
+    });
+    return result;
+}
+
+// The style values that differ from the defaults, as a partial preset
+function styleChanges(style) {
+    const changes = {};
+    Object.keys(defaultStyle).forEach(layer => {
+        Object.keys(defaultStyle[layer]).forEach(key => {
+            if (JSON.stringify(style[layer][key]) === JSON.stringify(defaultStyle[layer][key])) return;
+            changes[layer] = changes[layer] || {};
+            changes[layer][key] = style[layer][key];
+        });
+    });
+    return changes;
+}
+
+function parseOutline(outline) {
+    const valid = Array.isArray(outline) && outline.length >= 3 && outline.every(p =>
+        p && Math.abs(p.lat) <= 90 && Math.abs(p.lng) <= 180);
+    if (!valid) throw new Error('The selection must be at least three points in degrees');
+    return outline.map(p => ({ lat: p.lat, lng: p.lng }));
+}
+
+function parseRotation(rotation) {
+    if (!(Math.abs(rotation) <= 360)) throw new Error('The rotation must be in degrees');
+    return rotation;
+}
+
+function parseSettings(settings) {
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error('The project settings must be an object');
+    }
+    const parsed = {};
+    Object.keys(settings).forEach(id => {
+        if (['string', 'number', 'boolean'].includes(typeof settings[id])) parsed[id] = settings[id];
+    });
+    return parsed;
+}
+
+function round(value) {
+    return parseFloat(value.toFixed(DECIMALS));
+}
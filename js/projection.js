@@ -0,0 +1,112 @@
+// The local map projection: transverse Mercator on the WGS84 ellipsoid with
+// its central meridian and origin at the centre of the selection, so the
+// scale error grows only with the square of the distance from the centre
+// (about 0.01 % at 100 km). Scene coordinates are metres with x east and z
+// south, optionally turned so a selection that is not north-up lies square.
+// Formulas from Snyder, Map Projections: A Working Manual (USGS PP 1395), §8.
+
+const A = 6378137;
+const F = 1 / 298.257223563;
+const E2 = F * (2 - F);
+const EP2 = E2 / (1 - E2);
+const E1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+
+const RADIANS = Math.PI / 180;
+
+/**
+ * A projection centred on (centerLat, centerLon). `rotation` is the angle in
+ * degrees, anticlockwise from east, of the direction that becomes the
+ * scene's +x axis; 0 keeps north up. Returns
+ * { toScene(lat, lon) → { x, z }, toLatLon(x, z) → { lat, lon },
+ *   scaleFactor(lat, lon), centerLat, centerLon, rotation }.
+ */
+export function createProjection(centerLat, centerLon, rotation = 0) {
+    const lon0 = centerLon * RADIANS;
+    const m0 = meridianArc(centerLat * RADIANS);
+    const cos = Math.cos(rotation * RADIANS), sin = Math.sin(rotation * RADIANS);
+
+    function toScene(lat, lon) {
+        const { easting, northing } = forward(lat * RADIANS, lon * RADIANS, lon0, m0);
+        return {
+            x: easting * cos + northing * sin,
+            z: easting * sin - northing * cos
+        };
+    }
+
+    function toLatLon(x, z) {
+        const easting = x * cos + z * sin;
+        const northing = x * sin - z * cos;
+        const { phi, lambda } = inverse(easting, northing, lon0, m0);
+        return { lat: phi / RADIANS, lon: lambda / RADIANS };
+    }
+
+    // Ratio of projected to true length at a point; 1 on the central meridian
+    function scaleFactor(lat, lon) {
+        const phi = lat * RADIANS;
+        const t = Math.tan(phi) ** 2;
+        const c = EP2 * Math.cos(phi) ** 2;
+        const a = (lon * RADIANS - lon0) * Math.cos(phi);
+        return 1 + (1 + c) * a ** 2 / 2 + (5 - 4 * t + 42 * c + 13 * c ** 2 - 28 * EP2) * a ** 4 / 24 +
+            (61 - 148 * t + 16 * t ** 2) * a ** 6 / 720;
+    }
+
+    return { toScene, toLatLon, scaleFactor, centerLat, centerLon, rotation };
+}
+
+/**
+ * The largest relative scale error of `projection` over an outline of
+ * { lat, lng } points, found at its vertices since the error only grows away
+ * from the central meridian.
+ */
+export function maxScaleError(projection, outline) {
+    return Math.max(...outline.map(p => Math.abs(projection.scaleFactor(p.lat, p.lng) - 1)));
+}
+
+/**
+ * The angle in degrees, anticlockwise from east, of the first edge of an
+ * outline of { lat, lng } points, as measured on the ground. A rotated
+ * rectangle turned by this lies square on the plate.
+ */
+export function edgeRotation(outline) {
+    const [p, q] = outline;
+    const projection = createProjection(p.lat, p.lng);
+    const end = projection.toScene(q.lat, q.lng);
+    return Math.atan2(-end.z, end.x) / RADIANS;
+}
+
+function meridianArc(phi) {
+    return A * ((1 - E2 / 4 - 3 * E2 ** 2 / 64 - 5 * E2 ** 3 / 256) * phi -
+        (3 * E2 / 8 + 3 * E2 ** 2 / 32 + 45 * E2 ** 3 / 1024) * Math.sin(2 * phi) +
+        (15 * E2 ** 2 / 256 + 45 * E2 ** 3 / 1024) * Math.sin(4 * phi) -
+        (35 * E2 ** 3 / 3072) * Math.sin(6 * phi));
+}
+
+function forward(phi, lambda, lon0, m0) {
+    const n = A / Math.sqrt(1 - E2 * Math.sin(phi) ** 2);
+    const t = Math.tan(phi) ** 2;
+    const c = EP2 * Math.cos(phi) ** 2;
+    const a = (lambda - lon0) * Math.cos(phi);
+    const easting = n * (a + (1 - t + c) * a ** 3 / 6 + (5 - 18 * t + t ** 2 + 72 * c - 58 * EP2) * a ** 5 / 120);
+    const northing = meridianArc(phi) - m0 + n * Math.tan(phi) * (a ** 2 / 2 +
+        (5 - t + 9 * c + 4 * c ** 2) * a ** 4 / 24 + (61 - 58 * t + t ** 2 + 600 * c - 330 * EP2) * a ** 6 / 720);
+    return { easting, northing };
+}
+
+function inverse(easting, northing, lon0, m0) {
+    const mu = (m0 + northing) / (A * (1 - E2 / 4 - 3 * E2 ** 2 / 64 - 5 * E2 ** 3 / 256));
+    const phi1 = mu + (3 * E1 / 2 - 27 * E1 ** 3 / 32) * Math.sin(2 * mu) +
+        (21 * E1 ** 2 / 16 - 55 * E1 ** 4 / 32) * Math.sin(4 * mu) +
+        (151 * E1 ** 3 / 96) * Math.sin(6 * mu) + (1097 * E1 ** 4 / 512) * Math.sin(8 * mu);
+    const sin1 = Math.sin(phi1), cos1 = Math.cos(phi1), tan1 = Math.tan(phi1);
+    const c1 = EP2 * cos1 ** 2;
+    const t1 = tan1 ** 2;
+    const n1 = A / Math.sqrt(1 - E2 * sin1 ** 2);
+    const r1 = A * (1 - E2) / Math.pow(1 - E2 * sin1 ** 2, 1.5);
+    const d = easting / n1;
+    const phi = phi1 - (n1 * tan1 / r1) * (d ** 2 / 2 -
+        (5 + 3 * t1 + 10 * c1 - 4 * c1 ** 2 - 9 * EP2) * d ** 4 / 24 +
+        (61 + 90 * t1 + 298 * c1 + 45 * t1 ** 2 - 252 * EP2 - 3 * c1 ** 2) * d ** 6 / 720);
+    const lambda = lon0 + (d - (1 + 2 * t1 + c1) * d ** 3 / 6 +
+        (5 - 2 * c1 + 28 * t1 - 3 * c1 ** 2 + 8 * EP2 + 24 * t1 ** 2) * d ** 5 / 120) / cos1;
+    return { phi, lambda };
+}
@@ -0,0 +1,83 @@
+import { parseLength } from './osm.js';
+
+/**
+ * Road classes by OSM `highway` value (`_link` roads share their class):
+ * - width: real width in metres for ways with neither a width nor a lanes tag
+ * - laneWidth: metres per lane when the way has a lanes tag
+ * - minWidthMM: narrowest printed width, so small roads stay printable
+ * - heightMM: printed height above the ground
+ * - minor: service roads and paths that can be left out of the model
+ * Highway values missing from the table are not modelled.
+ */
+export const defaultRoadClasses = {
+    motorway: { width: 14, laneWidth: 3.75, minWidthMM: 1.6, heightMM: 0.8 },
+    trunk: { width: 12, laneWidth: 3.5, minWidthMM: 1.4, heightMM: 0.8 },
+    primary: { width: 10, laneWidth: 3.5, minWidthMM: 1.2, heightMM: 0.7 },
+    secondary: { width: 9, laneWidth: 3.25, minWidthMM: 1.0, heightMM: 0.7 },
+    tertiary: { width: 8, laneWidth: 3.25, minWidthMM: 0.9, heightMM: 0.6 },
+    unclassified: { width: 6, laneWidth: 3, minWidthMM: 0.8, heightMM: 0.6 },
+    residential: { width: 6, laneWidth: 3, minWidthMM: 0.8, heightMM: 0.6 },
+    living_street: { width: 5, laneWidth: 3, minWidthMM: 0.8, heightMM: 0.6 },
+    road: { width: 6, laneWidth: 3, minWidthMM: 0.8, heightMM: 0.6 },
+    busway: { width: 6, laneWidth: 3.5, minWidthMM: 0.8, heightMM: 0.6 },
+    service: { width: 4, laneWidth: 3, minWidthMM: 0.6, heightMM: 0.5, minor: true },
+    track: { width: 3, minWidthMM: 0.5, heightMM: 0.5, minor: true },
+    pedestrian: { width: 5, minWidthMM: 0.6, heightMM: 0.5, minor: true },
+    footway: { width: 2, minWidthMM: 0.5, heightMM: 0.5, minor: true },
+    cycleway: { width: 2, minWidthMM: 0.5, heightMM: 0.5, minor: true },
+    path: { width: 1.5, minWidthMM: 0.5, heightMM: 0.5, minor: true },
+    bridleway: { width: 2, minWidthMM: 0.5, heightMM: 0.5, minor: true },
+    steps: { width: 2, minWidthMM: 0.5, heightMM: 0.5, minor: true }
+};
+
+/**
+ * Looks up how a highway way is modelled. Returns { roadClass, width,
+ * minWidthMM, heightMM, minor } with the key of its class in the table and
+ * the width in metres, or null for ways that are not roads in the table
+ * (proposed, under construction, platforms, ...).
+ */
+export function roadStyle(tags, classes = defaultRoadClasses) {
+    if (!tags || !tags.highway) return null;
+    const name = tags.highway.replace(/_link$/, '');
+    const roadClass = classes[name];
+    if (!roadClass) return null;
+
+    let width = parseLength(tags.width);
+    if (!(width > 0) && roadClass.laneWidth) {
+        const lanes = parseInt(tags.lanes, 10);
+        if (lanes > 0) width = lanes * roadClass.laneWidth;
+    }
+    if (!(width > 0)) width = roadClass.width;
+
+    return { roadClass: name, width, minWidthMM: roadClass.minWidthMM, heightMM: roadClass.heightMM, minor: !!roadClass.minor };
+}
+
+/**
+ * Track widths in metres by OSM `railway` value, wide enough for the rails
+ * and their bed. Other values (abandoned, disused, platforms, ...) are not
+ * modelled.
+ */
+export const railwayWidths = {
+    rail: 3,
+    light_rail: 2.5,
+    subway: 3,
+    narrow_gauge: 2.5,
+    monorail: 1.5,
+    funicular: 2.5,
+    tram: 2
+};
+
+/**
+ * Looks up how a railway way is modelled: { width, tram } with the width in
+ * metres, or null for ways that are not modelled.
+ */
+export function railwayStyle(tags) {
+    if (!tags || !railwayWidths[tags.railway]) return null;
+    const width = parseLength(tags.width);
+    return { width: width > 0 ? width : railwayWidths[tags.railway], tram: tags.railway === 'tram' };
+}
+
+// Roads and railways carried over what they cross
+export function isBridge(tags) {
+    return tags.bridge !== undefined && tags.bridge !== 'no';
+}
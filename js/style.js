@@ -0,0 +1,196 @@
+import { defaultRoadClasses } from './roads.js';
+
+// Layer styles: colour, printed dimensions and whether each feature class is
+// modelled at all. A style is plain JSON, so it can be saved and shared as a
+// preset; loading a preset keeps the defaults for anything it leaves out.
+
+/**
+ * Every feature class has `enabled` and `color`; the other values are:
+ * - base.thicknessMM: plate thickness at the lowest point of the selection
+ * - water.depthMM / surfaceMM: recess in the base and drop below the banks
+ * - water.minWidthMM: narrowest printed river or stream
+ * - area classes (residential to pitches): `tags`, the OSM tag values they
+ *   model by key, e.g. { "landuse": ["forest"], "natural": ["wood"] }; the
+ *   printed heightMM above the ground; and drawOrder, where the higher of two
+ *   overlapping areas covers the other
+ * - roads.widthScale: multiplies the real road widths
+ * - roads.showMinor: model service roads and footways
+ * - roads.classes: per-highway overrides of the road table, e.g.
+ *   { "primary": { "heightMM": 1 } }
+ * - railways.heightMM / minWidthMM: printed height and narrowest printed
+ *   track; railways.trams: model tram lines too
+ * - bridges: decks deckMM thick held clearanceMM above the ground by
+ *   supports supportWidthMM square, every supportSpacingMM along the bridge
+ * - trees.heightMM / diameterMM: printed size of a tree, a cone or with
+ *   spheres a ball; trees.rowSpacingM: metres between the trees of a tree row
+ * - buildings.trueScale: print heights at the map scale times `exaggeration`
+ *   instead of spreading them over the printed range
+ * - buildings.minHeightMM / maxHeightMM: printed range the heights map to;
+ *   at true scale only the minimum applies
+ * - buildings.defaultHeightM: height of buildings without height or levels
+ *   whose type has no typical number of levels
+ * - buildings.levelHeightM: metres per building:levels
+ * - decorations.frame: a raised border frameWidthMM wide and frameHeightMM high
+ * - decorations.title: lettering from the title box, raised or, with
+ *   engraveTitle, cut into the base, in letters textSizeMM tall
+ * - decorations.northArrow / scaleBar: raised marks reliefMM high, which is
+ *   also the depth of engraved lettering
+ */
+export const defaultStyle = {
+    base: { enabled: true, color: '#cccccc', thicknessMM: 0.6 },
+    water: { enabled: true, color: '#2196f3', depthMM: 0.4, surfaceMM: 0.1, minWidthMM: 0.8 },
+    residential: { enabled: false, color: '#e8dcd4', heightMM: 0.1, drawOrder: 1, tags: { landuse: ['residential'] } },
+    commercial: { enabled: false, color: '#f2d4d4', heightMM: 0.1, drawOrder: 2, tags: { landuse: ['commercial', 'retail'] } },
+    industrial: { enabled: false, color: '#e0d0e8', heightMM: 0.1, drawOrder: 3, tags: { landuse: ['industrial'] } },
+    farmland: { enabled: true, color: '#eef0c0', heightMM: 0.1, drawOrder: 4, tags: { landuse: ['farmland'] } },
+    forest: { enabled: true, color: '#33691e', heightMM: 0.3, drawOrder: 5, tags: { landuse: ['forest'], natural: ['wood'] } },
+    scrub: { enabled: true, color: '#a5c27a', heightMM: 0.2, drawOrder: 6, tags: { natural: ['scrub'] } },
+    wetland: { enabled: true, color: '#7fb3a6', heightMM: 0.1, drawOrder: 7, tags: { natural: ['wetland'] } },
+    cemetery: { enabled: true, color: '#aacbaf', heightMM: 0.2, drawOrder: 8, tags: { landuse: ['cemetery'] } },
+    parks: { enabled: true, color: '#4caf50', heightMM: 0.2, drawOrder: 9, tags: { leisure: ['park'], landuse: ['grass'] } },
+    sand: { enabled: true, color: '#f4e4bc', heightMM: 0.1, drawOrder: 10, tags: { natural: ['sand', 'beach'] } },
+    parking: { enabled: true, color: '#bdbdbd', heightMM: 0.1, drawOrder: 11, tags: { amenity: ['parking'] } },
+    pitches: { enabled: true, color: '#8bc34a', heightMM: 0.3, drawOrder: 12, tags: { leisure: ['pitch', 'playground'] } },
+    roads: { enabled: true, color: '#222222', widthScale: 1, showMinor: true, classes: {} },
+    railways: { enabled: true, color: '#6d4c41', heightMM: 1, minWidthMM: 0.6, trams: true },
+    bridges: { enabled: true, color: '#9e9e9e', clearanceMM: 1.5, deckMM: 0.6, supportSpacingMM: 15, supportWidthMM: 1 },
+    trees: { enabled: true, color: '#2e7d32', heightMM: 3, diameterMM: 2, spheres: false, rowSpacingM: 10 },
+    buildings: {
+        enabled: true, color: '#888888', trueScale: false, exaggeration: 1,
+        minHeightMM: 0.8, maxHeightMM: 8, defaultHeightM: 5, levelHeightM: 3
+    },
+    decorations: {
+        enabled: true, color: '#333333', frame: false, frameWidthMM: 3, frameHeightMM: 1.5,
+        title: false, engraveTitle: false, textSizeMM: 6, northArrow: false, scaleBar: false, reliefMM: 0.6
+    }
+};
+
+// Labels and input steps for the numeric and boolean values of the style panel
+export const styleFields = {
+    base: [{ key: 'thicknessMM', label: 'Thickness (mm)', step: 0.1, min: 0.2 }],
+    water: [
+        { key: 'depthMM', label: 'Depth (mm)', step: 0.1, min: 0 },
+        { key: 'surfaceMM', label: 'Below banks (mm)', step: 0.1, min: 0 },
+        { key: 'minWidthMM', label: 'Min width (mm)', step: 0.1, min: 0 }
+    ],
+    ...areaFields(['residential', 'commercial', 'industrial', 'farmland', 'forest', 'scrub', 'wetland', 'cemetery', 'parks', 'sand', 'parking', 'pitches']),
+    roads: [
+        { key: 'widthScale', label: 'Width ×', step: 0.1, min: 0.1 },
+        { key: 'showMinor', label: 'Service roads and footways' }
+    ],
+    railways: [
+        { key: 'heightMM', label: 'Height (mm)', step: 0.1, min: 0.1 },
+        { key: 'minWidthMM', label: 'Min width (mm)', step: 0.1, min: 0.1 },
+        { key: 'trams', label: 'Tram lines' }
+    ],
+    bridges: [
+        { key: 'clearanceMM', label: 'Clearance (mm)', step: 0.1, min: 0.2 },
+        { key: 'deckMM', label: 'Deck (mm)', step: 0.1, min: 0.2 },
+        { key: 'supportSpacingMM', label: 'Support spacing (mm)', step: 1, min: 2 },
+        { key: 'supportWidthMM', label: 'Support width (mm)', step: 0.1, min: 0.4 }
+    ],
+    trees: [
+        { key: 'heightMM', label: 'Height (mm)', step: 0.5, min: 0.5 },
+        { key: 'diameterMM', label: 'Diameter (mm)', step: 0.5, min: 0.5 },
+        { key: 'spheres', label: 'Round' },
+        { key: 'rowSpacingM', label: 'Row spacing (m)', step: 1, min: 1 }
+    ],
+    buildings: [
+        { key: 'trueScale', label: 'True scale' },
+        { key: 'exaggeration', label: 'Exaggeration ×', step: 0.5, min: 0.1 },
+        { key: 'minHeightMM', label: 'Min height (mm)', step: 0.1, min: 0.1 },
+        { key: 'maxHeightMM', label: 'Max height (mm)', step: 0.5, min: 0.1 },
+        { key: 'defaultHeightM', label: 'Untagged height (m)', step: 1, min: 1 },
+        { key: 'levelHeightM', label: 'Metres per level', step: 0.1, min: 1 }
+    ],
+    decorations: [
+        { key: 'frame', label: 'Frame' },
+        { key: 'frameWidthMM', label: 'Frame width (mm)', step: 0.5, min: 0.5 },
+        { key: 'frameHeightMM', label: 'Frame height (mm)', step: 0.1, min: 0.1 },
+        { key: 'title', label: 'Title' },
+        { key: 'engraveTitle', label: 'Engrave title' },
+        { key: 'textSizeMM', label: 'Text size (mm)', step: 0.5, min: 2 },
+        { key: 'northArrow', label: 'North arrow' },
+        { key: 'scaleBar', label: 'Scale bar' },
+        { key: 'reliefMM', label: 'Relief (mm)', step: 0.1, min: 0.2 }
+    ]
+};
+
+function areaFields(layers) {
+    const fields = {};
+    layers.forEach(layer => {
+        fields[layer] = [
+            { key: 'heightMM', label: 'Height (mm)', step: 0.1, min: 0 },
+            { key: 'drawOrder', label: 'Draw order', step: 1, min: 0 }
+        ];
+    });
+    return fields;
+}
+
+/**
+ * A complete style from a preset: values of the wrong type and unknown keys
+ * are dropped and missing ones come from the defaults. Always returns a copy.
+ */
+export function normalizeStyle(preset) {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        throw new Error('A style preset must be a JSON object');
+    }
+    const style = {};
+    Object.keys(defaultStyle).forEach(layer => {
+        const given = preset[layer] && typeof preset[layer] === 'object' ? preset[layer] : {};
+        style[layer] = {};
+        Object.keys(defaultStyle[layer]).forEach(key => {
+            const fallback = defaultStyle[layer][key];
+            style[layer][key] = isValidValue(given[key], fallback) ? given[key] : fallback;
+        });
+    });
+    style.roads.classes = normalizeRoadClasses(style.roads.classes);
+    Object.keys(style).filter(layer => style[layer].tags).forEach(layer => {
+        style[layer].tags = normalizeAreaTags(style[layer].tags);
+    });
+    return style;
+}
+
+function isValidValue(value, fallback) {
+    if (typeof fallback === 'number') return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    if (typeof fallback === 'boolean') return typeof value === 'boolean';
+    if (typeof fallback === 'string') return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    return value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Road class overrides keep only numbers and the minor flag
+function normalizeRoadClasses(classes) {
+    const result = {};
+    Object.keys(classes).forEach(name => {
+        const given = classes[name];
+        if (!given || typeof given !== 'object') return;
+        result[name] = {};
+        ['width', 'laneWidth', 'minWidthMM', 'heightMM'].forEach(key => {
+            if (typeof given[key] === 'number' && given[key] > 0) result[name][key] = given[key];
+        });
+        if (typeof given.minor === 'boolean') result[name].minor = given.minor;
+    });
+    return result;
+}
+
+// Area tags keep only lists of string values
+function normalizeAreaTags(tags) {
+    const result = {};
+    Object.keys(tags).forEach(key => {
+        if (Array.isArray(tags[key])) result[key] = tags[key].filter(value => typeof value === 'string');
+    });
+    return result;
+}
+
+/**
+ * The default road table with a style's overrides applied. Overrides for highway
+ * values missing from the base table add new classes, which need a width.
+ */
+export function styleRoadClasses(style) {
+    const classes = Object.assign({}, defaultRoadClasses);
+    Object.keys(style.roads.classes).forEach(name => {
+        const merged = Object.assign({ minWidthMM: 0.5, heightMM: 0.5 }, defaultRoadClasses[name], style.roads.classes[name]);
+        if (merged.width > 0) classes[name] = merged;
+    });
+    return classes;
+}
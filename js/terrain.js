@@ -0,0 +1,454 @@
+import * as THREE from 'three';
+import { pointInPolygon, distanceToOutline } from './clipping.js';
+
+/**
+ * Returns heightAt(x, z): the terrain relief in scene units above the lowest
+ * point of the selection, for scene coordinates produced by the model's
+ * projection. toLatLon(x, z) inverts that projection; metresToScene converts
+ * elevation differences (already exaggerated) to scene units.
+ * Points the elevation model does not cover sit at the lowest level.
+ */
+export function createTerrainSampler(elevationModel, { south, west, north, east, toLatLon, metresToScene }) {
+    if (!elevationModel) return () => 0;
+
+    // The base is as thick as configured at the lowest point of the selection
+    const probes = 64;
+    let minElevation = Infinity;
+    for (let i = 0; i <= probes; i++) {
+        for (let j = 0; j <= probes; j++) {
+            const value = elevationModel.sample(south + (north - south) * i / probes, west + (east - west) * j / probes);
+            if (value !== undefined && value < minElevation) minElevation = value;
+        }
+    }
+    if (minElevation === Infinity) return () => 0;
+
+    return (x, z) => {
+        const { lat, lon } = toLatLon(x, z);
+        const value = elevationModel.sample(lat, lon);
+        return value === undefined ? 0 : Math.max(0, value - minElevation) * metresToScene;
+    };
+}
+
+/**
+ * A closed solid over one or more { outer, holes } polygons, with a bottom at
+ * bottomY and a top at topAt(x, z). bottomY is a height or, for layers that
+ * rest on the terrain, a function of (x, z) like topAt. The faces are
+ * triangulated with extra interior points every `spacing` scene units so they
+ * can follow the terrain; pass Infinity for flat faces. Narrow shapes that the
+ * grid misses, such as roads, can pass their own interior points in `extraPoints`.
+ */
+export function buildSlabGeometry(polygons, bottomY, topAt, spacing, extraPoints = []) {
+    const bottomAt = typeof bottomY === 'function' ? bottomY : () => bottomY;
+    const positions = [];
+    const indices = [];
+
+    polygons.forEach(polygon => {
+        const { points, faces } = triangulatePolygon(polygon, spacing, extraPoints);
+        appendSlab(positions, indices, points.map(p => ({ x: p.x, y: topAt(p.x, p.y), z: p.y })), faces, bottomAt);
+    });
+
+    return slabGeometry(positions, indices);
+}
+
+/**
+ * A closed solid like buildSlabGeometry whose top is made of facets, each
+ * { polygons, topAt, spacing }, such as the planes of a roof. The facets must
+ * tile the footprint without overlapping; their shared edges are joined into
+ * one surface, so the tops should agree where facets meet.
+ */
+export function buildFacetedSlabGeometry(facets, bottomY, spacing) {
+    const bottomAt = typeof bottomY === 'function' ? bottomY : () => bottomY;
+    const points = [];
+    const faces = [];
+
+    // Facet outlines are cut separately, so points where they meet can be a
+    // rounding error apart; points closer than this are joined
+    const tolerance = 1e-3;
+    const cells = new Map();
+    const pointIndex = (x, z, topAt) => {
+        const cx = Math.round(x / tolerance), cz = Math.round(z / tolerance);
+        for (let i = cx - 1; i <= cx + 1; i++) {
+            for (let j = cz - 1; j <= cz + 1; j++) {
+                const found = (cells.get(`${i}_${j}`) || []).find(index =>
+                    Math.hypot(points[index].x - x, points[index].z - z) <= tolerance);
+                if (found !== undefined) return found;
+            }
+        }
+        const key = `${cx}_${cz}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(points.length);
+        points.push({ x, y: topAt(x, z), z });
+        return points.length - 1;
+    };
+
+    facets.forEach(facet => facet.polygons.forEach(polygon => {
+        const result = triangulatePolygon(polygon, facet.spacing === undefined ? spacing : facet.spacing, []);
+        const indexOf = result.points.map(p => pointIndex(p.x, p.y, facet.topAt));
+        result.faces.forEach(face => {
+            const [a, b, c] = face.map(i => indexOf[i]);
+            if (a !== b && b !== c && c !== a) faces.push([a, b, c]);
+        });
+    }));
+
+    const positions = [];
+    const indices = [];
+    appendSlab(positions, indices, points, faces, bottomAt);
+    return slabGeometry(positions, indices);
+}
+
+/**
+ * A closed solid like buildFacetedSlabGeometry whose top steps between the
+ * facets, such as a base with recesses sunk into it. Each facet is
+ * { polygons, topAt, spacing }; they must tile the footprint without
+ * overlapping, and where they meet a vertical wall joins the higher top to
+ * the lower one.
+ */
+export function buildSteppedSlabGeometry(facets, bottomY) {
+    const bottomAt = typeof bottomY === 'function' ? bottomY : () => bottomY;
+    const tolerance = 1e-3;
+
+    // Ground points shared by the facets, joined as in buildFacetedSlabGeometry.
+    // Each keeps the column of vertices above it: one top per facet, and the bottom.
+    const ground = [];
+    const cells = new Map();
+    const groundIndex = (x, z) => {
+        const cx = Math.round(x / tolerance), cz = Math.round(z / tolerance);
+        for (let i = cx - 1; i <= cx + 1; i++) {
+            for (let j = cz - 1; j <= cz + 1; j++) {
+                const found = (cells.get(`${i}_${j}`) || []).find(index =>
+                    Math.hypot(ground[index].x - x, ground[index].z - z) <= tolerance);
+                if (found !== undefined) return found;
+            }
+        }
+        const key = `${cx}_${cz}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(ground.length);
+        ground.push({ x, z, column: [] });
+        return ground.length - 1;
+    };
+
+    const conform = conformRings(facets.flatMap(facet =>
+        facet.polygons.flatMap(polygon => [polygon.outer].concat(polygon.holes))), tolerance);
+
+    const positions = [];
+    const indices = [];
+    const addVertex = (g, y) => {
+        const index = positions.length / 3;
+        positions.push(ground[g].x, y, ground[g].z);
+        ground[g].column.push({ index, y });
+        return index;
+    };
+
+    // Each facet's top, its faces kept in ground indices for the bottom, and
+    // its rims: directed edges "from_to" used by a single one of its faces
+    const bottomFaces = [];
+    const rims = new Map();
+    facets.forEach((facet, f) => {
+        const tops = new Map();
+        const edgeUse = new Map();
+        facet.polygons.forEach(polygon => {
+            const result = triangulatePolygon({ outer: conform(polygon.outer), holes: polygon.holes.map(conform) },
+                facet.spacing, []);
+            const indexOf = result.points.map(p => {
+                const g = groundIndex(p.x, p.y);
+                if (!tops.has(g)) tops.set(g, addVertex(g, facet.topAt(ground[g].x, ground[g].z)));
+                return g;
+            });
+            result.faces.forEach(face => {
+                const [a, b, c] = face.map(i => indexOf[i]);
+                if (a === b || b === c || c === a) return;
+                indices.push(tops.get(a), tops.get(b), tops.get(c));
+                bottomFaces.push([a, c, b]);
+                [[a, b], [b, c], [c, a]].forEach(([from, to]) => {
+                    const key = from < to ? `${from}_${to}` : `${to}_${from}`;
+                    edgeUse.set(key, edgeUse.has(key) ? null : [from, to]);
+                });
+            });
+        });
+        edgeUse.forEach(edge => {
+            if (edge) rims.set(`${edge[0]}_${edge[1]}`, { facet: f, tops, edge });
+        });
+    });
+
+    const bottoms = ground.map((p, g) => addVertex(g, bottomAt(p.x, p.z)));
+    bottomFaces.forEach(face => indices.push(...face.map(g => bottoms[g])));
+    ground.forEach(p => p.column.sort((a, b) => b.y - a.y));
+
+    // The vertices of a column from `upper` down to `lower`, including the
+    // tops of other facets in between, so neighbouring walls share their edges
+    const chain = (g, upper, lower) => {
+        const column = ground[g].column;
+        const first = column.findIndex(v => v.index === upper);
+        const last = column.findIndex(v => v.index === lower);
+        return column.slice(first, last + 1).map(v => v.index);
+    };
+
+    // A rim shared with another facet gets a wall from the higher top down to
+    // the lower one, built by the higher facet; any other rim is on the
+    // outside and gets a wall down to the bottom. Walls are wound against the
+    // top as in appendSlab.
+    rims.forEach(({ facet, tops, edge: [a, b] }) => {
+        const partner = rims.get(`${b}_${a}`);
+        let lower = bottoms;
+        if (partner) {
+            if (partner.facet === facet) return;
+            const height = heights => positions[heights.get(a) * 3 + 1] + positions[heights.get(b) * 3 + 1];
+            const own = height(tops), other = height(partner.tops);
+            if (other > own || (other === own && partner.facet < facet)) return;
+            lower = partner.tops;
+        }
+        const lowerAt = g => lower instanceof Map ? lower.get(g) : lower[g];
+        const left = chain(a, tops.get(a), lowerAt(a));
+        const right = chain(b, tops.get(b), lowerAt(b));
+        let i = 0, j = 0;
+        while (i < left.length - 1 || j < right.length - 1) {
+            const advanceLeft = j === right.length - 1 ||
+                (i < left.length - 1 && positions[left[i + 1] * 3 + 1] >= positions[right[j + 1] * 3 + 1]);
+            if (advanceLeft) {
+                indices.push(right[j], left[i], left[i + 1]);
+                i++;
+            } else {
+                indices.push(right[j], left[i], right[j + 1]);
+                j++;
+            }
+        }
+    });
+
+    return slabGeometry(positions, indices);
+}
+
+// Returns a function that adds to a ring the corners of `rings` lying on its
+// edges, so rings cut separately meet vertex to vertex where they touch
+function conformRings(rings, tolerance) {
+    const corners = rings.flat();
+    if (corners.length === 0) return ring => ring;
+    const xs = corners.map(p => p.x), zs = corners.map(p => p.z);
+    const minX = Math.min(...xs), minZ = Math.min(...zs);
+    const size = Math.max(Math.max(...xs) - minX, Math.max(...zs) - minZ, tolerance) / 128;
+    const cells = new Map();
+    corners.forEach(p => {
+        const key = `${Math.floor((p.x - minX) / size)}_${Math.floor((p.z - minZ) / size)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(p);
+    });
+
+    return ring => ring.flatMap((p, k) => {
+        const q = ring[(k + 1) % ring.length];
+        const dx = q.x - p.x, dz = q.z - p.z;
+        const lengthSq = dx * dx + dz * dz;
+        if (lengthSq === 0) return [p];
+        const length = Math.sqrt(lengthSq);
+        const found = new Map();
+        const fromI = Math.floor((Math.min(p.x, q.x) - tolerance - minX) / size);
+        const toI = Math.floor((Math.max(p.x, q.x) + tolerance - minX) / size);
+        const fromJ = Math.floor((Math.min(p.z, q.z) - tolerance - minZ) / size);
+        const toJ = Math.floor((Math.max(p.z, q.z) + tolerance - minZ) / size);
+        for (let i = fromI; i <= toI; i++) {
+            for (let j = fromJ; j <= toJ; j++) {
+                (cells.get(`${i}_${j}`) || []).forEach(c => {
+                    const t = ((c.x - p.x) * dx + (c.z - p.z) * dz) / lengthSq;
+                    if (t * length <= tolerance || (1 - t) * length <= tolerance) return;
+                    if (Math.abs((c.x - p.x) * dz - (c.z - p.z) * dx) / length > tolerance) return;
+                    found.set(`${Math.round(c.x / tolerance)}_${Math.round(c.z / tolerance)}`, { c, t });
+                });
+            }
+        }
+        return [p].concat([...found.values()].sort((u, v) => u.t - v.t).map(({ c }) => c));
+    });
+}
+
+// Adds a top surface over `points` (with their top heights as y), the same
+// faces flipped at bottomAt(x, z) and walls around the rims
+function appendSlab(positions, indices, points, faces, bottomAt) {
+    const offset = positions.length / 3;
+    const count = points.length;
+
+    points.forEach(p => positions.push(p.x, p.y, p.z));
+    points.forEach(p => positions.push(p.x, bottomAt(p.x, p.z), p.z));
+
+    const edgeUse = new Map();
+    faces.forEach(([a, b, c]) => {
+        indices.push(offset + a, offset + b, offset + c);
+        indices.push(offset + count + a, offset + count + c, offset + count + b);
+        [[a, b], [b, c], [c, a]].forEach(([from, to]) => {
+            const key = from < to ? `${from}_${to}` : `${to}_${from}`;
+            edgeUse.set(key, edgeUse.has(key) ? null : [from, to]);
+        });
+    });
+
+    // Edges used by a single top triangle form the rims (outer and holes);
+    // each gets a wall quad wound against the top so the solid stays closed
+    edgeUse.forEach(edge => {
+        if (!edge) return;
+        const [a, b] = edge.map(i => offset + i);
+        indices.push(b, a, count + a);
+        indices.push(b, count + a, count + b);
+    });
+}
+
+function slabGeometry(positions, indices) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// Triangulates a polygon (x/z of each point) with grid points inside it as
+// Steiner points. Points are returned as Vector2(x, z); faces face +y.
+function triangulatePolygon(polygon, spacing, extraPoints) {
+    const contour = polygon.outer.map(p => new THREE.Vector2(p.x, p.z));
+    const holes = polygon.holes.map(hole => hole.map(p => new THREE.Vector2(p.x, p.z)));
+    const grid = [];
+    const extra = [];
+
+    if (Number.isFinite(spacing) && spacing > 0) {
+        const rings = [polygon.outer].concat(polygon.holes);
+        const isInterior = (x, z, clearance) => pointInPolygon(x, z, polygon.outer) &&
+            !polygon.holes.some(hole => pointInPolygon(x, z, hole)) &&
+            rings.every(ring => distanceToOutline(x, z, ring) > clearance);
+
+        const xs = polygon.outer.map(p => p.x), zs = polygon.outer.map(p => p.z);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minZ = Math.min(...zs), maxZ = Math.max(...zs);
+        for (let x = minX + spacing / 2; x < maxX; x += spacing) {
+            for (let z = minZ + spacing / 2; z < maxZ; z += spacing) {
+                if (isInterior(x, z, spacing / 4)) grid.push(new THREE.Vector2(x, z));
+            }
+        }
+
+        // Extra points only need to keep clear of the rim and of each other
+        // to avoid sliver triangles. The points kept so far are hashed by
+        // cells as wide as the clearance, so only neighbouring cells are checked.
+        const clearance = spacing / 64;
+        const cells = new Map();
+        const keep = q => {
+            const key = `${Math.floor(q.x / clearance)},${Math.floor(q.y / clearance)}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(q);
+        };
+        const crowded = (x, z) => {
+            const column = Math.floor(x / clearance), row = Math.floor(z / clearance);
+            for (let i = column - 1; i <= column + 1; i++) {
+                for (let j = row - 1; j <= row + 1; j++) {
+                    const near = cells.get(`${i},${j}`);
+                    if (near && near.some(q => Math.hypot(q.x - x, q.y - z) < clearance)) return true;
+                }
+            }
+            return false;
+        };
+        grid.forEach(keep);
+        extraPoints.forEach(p => {
+            if (p.x < minX || p.x > maxX || p.z < minZ || p.z > maxZ) return;
+            if (crowded(p.x, p.z) || !isInterior(p.x, p.z, clearance)) return;
+            const q = new THREE.Vector2(p.x, p.z);
+            extra.push(q);
+            keep(q);
+        });
+    }
+
+    return triangulate(contour, holes, grid.concat(extra));
+}
+
+// Earcut overlaps triangles when it bridges many Steiner points and holes,
+// so the rings are triangulated on their own and the Steiner points are
+// inserted afterwards, flipping edges towards a Delaunay triangulation.
+function triangulate(contour, holes, steiner) {
+    const faces = THREE.ShapeUtils.triangulateShape(contour, holes);
+    const points = contour.concat(...holes);
+
+    // y component of (b - a) × (c - a) with z stored in .y; positive for
+    // triangles facing +y. Earcut winds them all the same way.
+    const orient = (a, b, c) => (points[b].y - points[a].y) * (points[c].x - points[a].x) -
+        (points[b].x - points[a].x) * (points[c].y - points[a].y);
+    const area = faces.reduce((sum, [a, b, c]) => sum + orient(a, b, c), 0);
+    if (area < 0) faces.forEach(face => face.reverse());
+
+    // Directed edge "from_to" → index of the face it belongs to
+    const edgeFace = new Map();
+    const setFace = (index, face) => {
+        faces[index] = face;
+        const [a, b, c] = face;
+        edgeFace.set(`${a}_${b}`, index);
+        edgeFace.set(`${b}_${c}`, index);
+        edgeFace.set(`${c}_${a}`, index);
+    };
+    faces.forEach((face, index) => setFace(index, face));
+
+    // Flips the edge from → to when the point across it lies inside the
+    // circumcircle of the face it belongs to and the two faces form a convex quad
+    const legalize = (stack) => {
+        while (stack.length > 0) {
+            const [u, v] = stack.pop();
+            const f = edgeFace.get(`${u}_${v}`);
+            const g = edgeFace.get(`${v}_${u}`);
+            if (f === undefined || g === undefined) continue;
+            const p = faces[f].find(i => i !== u && i !== v);
+            const q = faces[g].find(i => i !== u && i !== v);
+            if (!inCircumcircle(points[u], points[v], points[p], points[q])) continue;
+            if (Math.sign(orient(p, q, u)) === Math.sign(orient(p, q, v))) continue;
+
+            edgeFace.delete(`${u}_${v}`);
+            edgeFace.delete(`${v}_${u}`);
+            setFace(f, [u, q, p]);
+            setFace(g, [q, v, p]);
+            stack.push([u, q], [q, v], [v, p], [p, u]);
+        }
+    };
+
+    let last = 0;
+    steiner.forEach(point => {
+        const index = points.length;
+        points.push(point);
+        const f = locateFace(faces, edgeFace, orient, index, last);
+        if (f === undefined) {
+            points.pop(); // On an edge or outside; leave it out
+            return;
+        }
+        const [a, b, c] = faces[f];
+        setFace(f, [a, b, index]);
+        setFace(faces.length, [b, c, index]);
+        setFace(faces.length, [c, a, index]);
+        last = f;
+        legalize([[a, b], [b, c], [c, a]]);
+    });
+
+    return { points, faces };
+}
+
+// Walks from face `start` towards the point; falls back to a scan when the
+// walk hits a rim. Returns undefined unless the point is strictly inside a face.
+function locateFace(faces, edgeFace, orient, point, start) {
+    let f = start;
+    for (let steps = 0; steps < faces.length && f !== undefined; steps++) {
+        const [a, b, c] = faces[f];
+        const outside = [[a, b], [b, c], [c, a]].find(([u, v]) => orient(u, v, point) < 0);
+        if (!outside) break;
+        f = edgeFace.get(`${outside[1]}_${outside[0]}`);
+    }
+    const inside = index => {
+        if (index === undefined) return false;
+        const [a, b, c] = faces[index];
+        return orient(a, b, point) > 0 && orient(b, c, point) > 0 && orient(c, a, point) > 0;
+    };
+    if (inside(f)) return f;
+    const found = faces.findIndex((face, index) => inside(index));
+    return found >= 0 ? found : undefined;
+}
+
+// Whether d lies inside the circle through a, b and c, whatever their winding
+function inCircumcircle(a, b, c, d) {
+    const ax = a.x - d.x, ay = a.y - d.y;
+    const bx = b.x - d.x, by = b.y - d.y;
+    const cx = c.x - d.x, cy = c.y - d.y;
+    const det = (ax * ax + ay * ay) * (bx * cy - cx * by) -
+        (bx * bx + by * by) * (ax * cy - cx * ay) +
+        (cx * cx + cy * cy) * (ax * by - bx * ay);
+    const winding = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    return det * winding > 0;
+}
+
+// Lowest terrain height under a set of points, used to seat solids on slopes
+export function seatHeight(points, heightAt) {
+    return points.reduce((min, p) => Math.min(min, heightAt(p.x, p.z)), Infinity);
+}
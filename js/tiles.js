@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+import { loadManifold, toManifold, fromManifold } from './printability.js';
+
+// Splitting an export scene (millimetres, Y-up) into tiles that each fit the
+// printer bed. All tiles come from the one model, so heights match across
+// seams. Cutting goes through Manifold, where x is east, y north and z up.
+
+/**
+ * Joint dimensions in mm:
+ * - clearanceMM: play between mating parts
+ * - dovetail: tabs from each tile into its east and south neighbours
+ * - peg: holes across the seam for pins; offcuts of 1.75 mm filament work
+ * - magnet: pockets in both seam faces for disc magnets
+ * - spacingMM: one joint per this length of seam
+ * - wallMM: plastic kept above and below peg holes and magnet pockets
+ */
+export const jointSizes = {
+    clearanceMM: 0.2,
+    dovetail: { neckMM: 8, headMM: 12, depthMM: 6 },
+    peg: { diameterMM: 1.75, depthMM: 6 },
+    magnet: { diameterMM: 6, depthMM: 2 },
+    spacingMM: 50,
+    wallMM: 0.6
+};
+
+/**
+ * The seams of a columns × rows grid over a model, in export-scene mm:
+ * { box, width, depth, tileWidth, tileDepth, xs, zs } with the model's
+ * bounding box and the interior seam positions along x and z. Tiles are
+ * numbered from the north-west corner.
+ */
+export function tileLayout(object, columns, rows) {
+    const box = new THREE.Box3().setFromObject(object);
+    const width = box.max.x - box.min.x;
+    const depth = box.max.z - box.min.z;
+    const tileWidth = width / columns;
+    const tileDepth = depth / rows;
+    return {
+        box,
+        width,
+        depth,
+        tileWidth,
+        tileDepth,
+        xs: Array.from({ length: columns - 1 }, (_, i) => box.min.x + (i + 1) * tileWidth),
+        zs: Array.from({ length: rows - 1 }, (_, i) => box.min.z + (i + 1) * tileDepth)
+    };
+}
+
+/**
+ * Cuts every mesh of `object` into columns × rows tiles, optionally with
+ * joints along the seams. `baseThicknessMM` is the thinnest part of the base,
+ * which peg holes and magnet pockets have to fit into.
+ * Resolves to { tiles: [{ row, column, object }], issues }; each tile is a
+ * Y-up group centred on the origin.
+ */
+export function splitIntoTiles(object, { columns, rows, joints = 'none', baseThicknessMM, sizes = jointSizes }) {
+    return loadManifold().then(({ Manifold, CrossSection }) => {
+        object.updateMatrixWorld(true);
+        const layout = tileLayout(object, columns, rows);
+        const { box, tileWidth, tileDepth } = layout;
+        const issues = [];
+
+        const parts = [];
+        const unmerged = [];
+        object.traverse(child => {
+            if (!child.isMesh) return;
+            const solid = toManifold(Manifold, child);
+            if (solid) parts.push({ mesh: child, solid });
+            else unmerged.push(child);
+        });
+        if (unmerged.length > 0) {
+            issues.push({ severity: 'warning', message: `${unmerged.length} mesh(es) are not closed solids and were put whole into the tile under their centre` });
+        }
+
+        // Seam positions in Manifold axes; north is -z in the scene
+        const west = box.min.x, north = -box.min.z;
+        const seamX = column => west + column * tileWidth;
+        const seamY = row => north - row * tileDepth;
+
+        // Joints sit at the same places along every seam segment
+        const jointOffsets = length => {
+            const count = Math.max(1, Math.floor(length / sizes.spacingMM));
+            return Array.from({ length: count }, (_, i) => (i + 0.5) * length / count);
+        };
+
+        if (joints === 'peg' || joints === 'magnet') {
+            const { diameterMM, depthMM } = sizes[joints];
+            const holeDiameter = diameterMM + sizes.clearanceMM;
+            const needed = holeDiameter + 2 * sizes.wallMM;
+            if (!(baseThicknessMM >= needed)) {
+                issues.push({ severity: 'error', message: `The base is ${(baseThicknessMM || 0).toFixed(1)} mm thick; ${joints === 'peg' ? 'peg holes' : 'magnet pockets'} need at least ${needed.toFixed(1)} mm, so the tiles have no joints` });
+            } else {
+                const length = 2 * (depthMM + sizes.clearanceMM / 2);
+                const z = baseThicknessMM / 2;
+                const holes = [];
+                for (let row = 0; row < rows; row++) {
+                    for (let column = 1; column < columns; column++) {
+                        jointOffsets(tileDepth).forEach(offset => holes.push(Manifold.cylinder(length, holeDiameter / 2, -1, 32, true)
+                            .rotate([0, 90, 0]).translate([seamX(column), seamY(row) - offset, z])));
+                    }
+                }
+                for (let row = 1; row < rows; row++) {
+                    for (let column = 0; column < columns; column++) {
+                        jointOffsets(tileWidth).forEach(offset => holes.push(Manifold.cylinder(length, holeDiameter / 2, -1, 32, true)
+                            .rotate([90, 0, 0]).translate([seamX(column) + offset, seamY(row), z])));
+                    }
+                }
+                if (holes.length > 0) {
+                    const cutter = Manifold.union(holes);
+                    holes.forEach(hole => hole.delete());
+                    parts.forEach(part => {
+                        const drilled = part.solid.subtract(cutter);
+                        part.solid.delete();
+                        part.solid = drilled;
+                    });
+                    cutter.delete();
+                }
+            }
+        }
+
+        // Dovetail tabs on the seam east of (row, column) and south of it, as
+        // counter-clockwise polygons in Manifold x/y
+        const { neckMM, headMM, depthMM: tabDepth } = sizes.dovetail;
+        const eastTabs = (row, column) => jointOffsets(tileDepth).map(offset => {
+            const x = seamX(column + 1), y = seamY(row) - offset;
+            return [[x - 1, y - neckMM / 2], [x, y - neckMM / 2], [x + tabDepth, y - headMM / 2],
+                [x + tabDepth, y + headMM / 2], [x, y + neckMM / 2], [x - 1, y + neckMM / 2]];
+        });
+        const southTabs = (row, column) => jointOffsets(tileWidth).map(offset => {
+            const x = seamX(column) + offset, y = seamY(row + 1);
+            return [[x - neckMM / 2, y + 1], [x - neckMM / 2, y], [x - headMM / 2, y - tabDepth],
+                [x + headMM / 2, y - tabDepth], [x + neckMM / 2, y], [x + neckMM / 2, y + 1]];
+        });
+
+        // Outer edges reach past the model so only seams cut it
+        const margin = 1 + tabDepth;
+        const bottom = box.min.y - 1;
+        const height = box.max.y - box.min.y + 2;
+
+        const tiles = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const x0 = column === 0 ? seamX(0) - margin : seamX(column);
+                const x1 = column === columns - 1 ? seamX(columns) + margin : seamX(column + 1);
+                const y1 = row === 0 ? seamY(0) + margin : seamY(row);
+                const y0 = row === rows - 1 ? seamY(rows) - margin : seamY(row + 1);
+
+                let region = new CrossSection([[x0, y0], [x1, y0], [x1, y1], [x0, y1]]);
+                if (joints === 'dovetail') {
+                    const added = [];
+                    const removed = [];
+                    if (column < columns - 1) added.push(...eastTabs(row, column));
+                    if (row < rows - 1) added.push(...southTabs(row, column));
+                    if (column > 0) removed.push(...eastTabs(row, column - 1));
+                    if (row > 0) removed.push(...southTabs(row - 1, column));
+                    if (added.length > 0) region = combine(region, new CrossSection(added), 'add');
+                    if (removed.length > 0) region = combine(region, new CrossSection(removed), 'subtract');
+                    const shrunk = region.offset(-sizes.clearanceMM / 2, 'Miter');
+                    region.delete();
+                    region = shrunk;
+                }
+                const prism = region.extrude(height).translate([0, 0, bottom]);
+                region.delete();
+
+                const group = new THREE.Group();
+                parts.forEach(({ mesh, solid }) => {
+                    const piece = solid.intersect(prism);
+                    if (!piece.isEmpty()) {
+                        const tileMesh = new THREE.Mesh(fromManifold(piece), mesh.material);
+                        tileMesh.userData = { ...mesh.userData };
+                        group.add(tileMesh);
+                    }
+                    piece.delete();
+                });
+                prism.delete();
+
+                unmerged.forEach(mesh => {
+                    const centre = new THREE.Box3().setFromObject(mesh).getCenter(new THREE.Vector3());
+                    const inColumn = Math.min(columns - 1, Math.max(0, Math.floor((centre.x - box.min.x) / tileWidth)));
+                    const inRow = Math.min(rows - 1, Math.max(0, Math.floor((centre.z - box.min.z) / tileDepth)));
+                    if (inColumn !== column || inRow !== row) return;
+                    const copy = new THREE.Mesh(mesh.geometry.clone().applyMatrix4(mesh.matrixWorld), mesh.material);
+                    copy.userData = { ...mesh.userData };
+                    group.add(copy);
+                });
+
+                if (group.children.length === 0) continue;
+                group.position.set(-(box.min.x + (column + 0.5) * tileWidth), 0, -(box.min.z + (row + 0.5) * tileDepth));
+                group.updateMatrixWorld(true);
+                tiles.push({ row, column, object: group });
+            }
+        }
+
+        parts.forEach(part => part.solid.delete());
+        return { tiles, issues };
+    });
+}
+
+// Applies a boolean operation and frees both inputs
+function combine(region, other, operation) {
+    const result = region[operation](other);
+    region.delete();
+    other.delete();
+    return result;
+}
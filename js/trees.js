@@ -0,0 +1,122 @@
+import * as THREE from 'three';
+
+// Trees as small printable solids, either cones or balls with a flat bottom,
+// standing on the land. They are sized in printed millimetres rather than to
+// scale, which would make them too small to print.
+
+/**
+ * One closed geometry with a tree at each { x, y, z }, where y is the height
+ * of its flat bottom. `radius` is in scene units across and `height`, the
+ * height of a cone or of a ball from its flat bottom to its top, in scene
+ * units up, which need not be the same units as across.
+ */
+export function treeGeometry(trees, { radius, height, spheres, segments = 8 }) {
+    const positions = [];
+    const indices = [];
+    trees.forEach(tree => {
+        if (spheres) appendBall(positions, indices, tree, radius, height, segments);
+        else appendCone(positions, indices, tree, radius, height, segments);
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Points at least `spacing` scene units apart along a polyline, from its
+ * first point to its last, for the trees of a tree row.
+ */
+export function pointsAlong(points, spacing) {
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+        lengths.push(lengths[i - 1] + points[i].distanceTo(points[i - 1]));
+    }
+    const total = lengths[lengths.length - 1];
+    const count = Math.max(1, Math.floor(total / spacing));
+
+    const result = [];
+    let segment = 1;
+    for (let k = 0; k <= count; k++) {
+        const distance = total * k / count;
+        while (segment < points.length - 1 && lengths[segment] < distance) segment++;
+        const span = lengths[segment] - lengths[segment - 1];
+        const t = span > 0 ? (distance - lengths[segment - 1]) / span : 0;
+        result.push(points[segment - 1].clone().lerp(points[segment], Math.min(1, t)));
+    }
+    return result;
+}
+
+/**
+ * The points in order, leaving out any closer than `distance` to one kept
+ * before it, so that neighbouring trees do not run into each other.
+ */
+export function spreadOut(points, distance) {
+    const cells = new Map();
+    return points.filter(p => {
+        const column = Math.floor(p.x / distance), row = Math.floor(p.z / distance);
+        for (let i = column - 1; i <= column + 1; i++) {
+            for (let j = row - 1; j <= row + 1; j++) {
+                const near = cells.get(`${i},${j}`);
+                if (near && near.some(q => Math.hypot(p.x - q.x, p.z - q.z) < distance)) return false;
+            }
+        }
+        const key = `${column},${row}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(p);
+        return true;
+    });
+}
+
+function appendCone(positions, indices, { x, y, z }, radius, height, segments) {
+    const offset = positions.length / 3;
+    for (let i = 0; i < segments; i++) {
+        const angle = 2 * Math.PI * i / segments;
+        positions.push(x + radius * Math.cos(angle), y, z + radius * Math.sin(angle));
+    }
+    positions.push(x, y + height, z, x, y, z);
+    const apex = offset + segments, centre = apex + 1;
+    for (let i = 0; i < segments; i++) {
+        const a = offset + i, b = offset + (i + 1) % segments;
+        indices.push(a, apex, b);
+        indices.push(a, b, centre);
+    }
+}
+
+// A ball cut flat at a fifth of its height, so it stands on a disc; it is
+// `height` tall from the disc to the top
+function appendBall(positions, indices, { x, y, z }, radius, height, segments) {
+    const offset = positions.length / 3;
+    const bottom = Math.asin(-0.6);
+    const rings = Math.max(2, Math.round(segments / 2));
+    const verticalRadius = height / 1.6;
+    const centreY = y + 0.6 * verticalRadius;
+
+    // Rings of latitude from the flat bottom up to just below the pole
+    for (let ring = 0; ring < rings; ring++) {
+        const latitude = bottom + (Math.PI / 2 - bottom) * ring / rings;
+        const ringRadius = radius * Math.cos(latitude);
+        const ringY = centreY + verticalRadius * Math.sin(latitude);
+        for (let i = 0; i < segments; i++) {
+            const angle = 2 * Math.PI * i / segments;
+            positions.push(x + ringRadius * Math.cos(angle), ringY, z + ringRadius * Math.sin(angle));
+        }
+    }
+    positions.push(x, centreY + verticalRadius, z, x, y, z);
+    const pole = offset + rings * segments, centre = pole + 1;
+
+    for (let i = 0; i < segments; i++) {
+        const next = (i + 1) % segments;
+        for (let ring = 0; ring + 1 < rings; ring++) {
+            const a = offset + ring * segments + i, b = offset + ring * segments + next;
+            const c = a + segments, d = b + segments;
+            indices.push(a, c, b);
+            indices.push(b, c, d);
+        }
+        const top = offset + (rings - 1) * segments;
+        indices.push(top + i, pole, top + next);
+        indices.push(offset + i, offset + next, centre);
+    }
+}
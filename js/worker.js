@@ -0,0 +1,25 @@
+// Entry point of the model worker, loaded as a classic worker. Module workers
+// do not see the page's import map, which the modules rely on for three and
+// the other libraries, so es-module-shims applies a copy of it: the first
+// message is { importMap } and every later one is a request for
+// modelWorker.js.
+self.esmsInitOptions = { shimMode: true };
+importScripts('https://cdn.jsdelivr.net/npm/es-module-shims@1.10.0/dist/es-module-shims.js');
+
+let worker = null;
+
+self.onmessage = event => {
+    if (!worker) {
+        importShim.addImportMap(event.data.importMap);
+        // three's GLTFExporter reaches FileReader and TextEncoder through
+        // window, which workers lack but have on their own global
+        globalThis.window ??= globalThis;
+        worker = importShim(new URL('modelWorker.js', self.location.href).href);
+        return;
+    }
+    const request = event.data;
+    worker.then(
+        module => module.handleMessage(request),
+        error => self.postMessage({ id: request.id, type: 'error', message: `The worker could not load: ${error.message}` })
+    );
+};
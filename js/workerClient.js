@@ -0,0 +1,66 @@
+// The page's side of the model worker (modelWorker.js). Requests resolve with
+// the worker's result; cancel() stops the worker wherever it is and rejects
+// everything in flight with an AbortError.
+
+export class ModelWorker {
+    /**
+     * `importMap` is the page's import map with absolute URLs; `onProgress`
+     * receives (stage, fraction) from whichever request is running.
+     */
+    constructor(importMap, onProgress) {
+        this.importMap = importMap;
+        this.onProgress = onProgress;
+        this.pending = new Map();
+        this.lastId = 0;
+        this.start();
+    }
+
+    start() {
+        this.worker = new Worker(new URL('worker.js', import.meta.url));
+        this.worker.postMessage({ importMap: this.importMap });
+        this.worker.onmessage = event => this.receive(event.data);
+        this.worker.onerror = event => {
+            event.preventDefault();
+            this.rejectAll(new Error(event.message || 'The model worker failed'));
+        };
+    }
+
+    get busy() {
+        return this.pending.size > 0;
+    }
+
+    // Buffers listed in `transfer` move to the worker and are unusable here after
+    run(type, payload, transfer = []) {
+        const id = ++this.lastId;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, ...payload }, transfer);
+        });
+    }
+
+    receive({ id, type, stage, fraction, result, message }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        if (type === 'progress') {
+            this.onProgress(stage, fraction);
+            return;
+        }
+        this.pending.delete(id);
+        if (type === 'done') request.resolve(result);
+        else request.reject(new Error(message));
+    }
+
+    cancel() {
+        this.worker.terminate();
+        const error = new Error('Cancelled');
+        error.name = 'AbortError';
+        this.rejectAll(error);
+        this.start();
+    }
+
+    rejectAll(error) {
+        const requests = [...this.pending.values()];
+        this.pending.clear();
+        requests.forEach(({ reject }) => reject(error));
+    }
+}
@@ -1,9 +1,55 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'OrbitControls';
-import { _3MFExporter } from '3MFExporter';
+import { exportFormats } from 'exportModel';
+import { jointSizes } from 'tiles';
+import { ElevationModel, parseElevationFile } from 'dem';
+import { styleFields, normalizeStyle } from 'style';
+import { featureClasses, serializeModel, deserializeModel, outlineAreaKm2, simplificationSummary } from 'model';
+import { cropElements, overpassQuery, countedElements } from 'osm';
+import { fetchOverpass, overpassMirrors } from 'overpass';
+import { readCache, writeCache, clearCache } from 'cache';
+import { ModelWorker } from 'workerClient';
+import { areaTagsOf } from 'landcover';
+import { createProject, parseProject, encodeHash, decodeHash } from 'project';
+import { edgeRotation } from 'projection';
+import { coordinateTitle } from 'decorations';
+import { colourChangePlan } from 'printLayers';
+import { featureLookup } from 'features';
 
-// Initialize the map
-const map = L.map('map').setView([53.5444, -113.4909], 13);
+// Initialize the map on the area of a shared link, or where it was last left
+const DEFAULT_VIEW = { center: [53.5444, -113.4909], zoom: 13 };
+const map = L.map('map');
+const linked = readLink();
+if (linked && linked.outline) {
+    map.fitBounds(L.latLngBounds(linked.outline));
+} else {
+    const view = loadSavedView();
+    map.setView(view.center, view.zoom);
+}
+map.on('moveend', () => {
+    const center = map.getCenter();
+    localStorage.setItem('mapView', JSON.stringify({ center: [center.lat, center.lng], zoom: map.getZoom() }));
+});
+
+function loadSavedView() {
+    try {
+        return JSON.parse(localStorage.getItem('mapView')) || DEFAULT_VIEW;
+    } catch (error) {
+        return DEFAULT_VIEW;
+    }
+}
+
+// The selection and settings in the URL hash, or null when there are none or
+// they cannot be read
+function readLink() {
+    if (location.hash.length <= 1) return null;
+    try {
+        return decodeHash(location.hash);
+    } catch (error) {
+        console.warn('Ignoring the link settings:', error);
+        return null;
+    }
+}
 
 // Add the OpenStreetMap tiles
 L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
@@ -15,18 +61,22 @@ L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
 const drawnItems = new L.FeatureGroup();
 map.addLayer(drawnItems);
 
+const selectionStyle = { color: '#ff7800' };
+
 // Draw control
 const drawControl = new L.Control.Draw({
     draw: {
-        polygon: false,
+        polygon: {
+            shapeOptions: selectionStyle
+        },
         polyline: false,
-        circle: false,
+        circle: {
+            shapeOptions: selectionStyle
+        },
         marker: false,
         circlemarker: false,
         rectangle: {
-            shapeOptions: {
-                color: '#ff7800'
-            }
+            shapeOptions: selectionStyle
         }
     },
     edit: {
@@ -35,418 +85,425 @@ const drawControl = new L.Control.Draw({
 });
 map.addControl(drawControl);
 
+// Freehand selection: click the pencil, then drag on the map to sketch an outline
+const FreehandControl = L.Control.extend({
+    options: {
+        position: 'topleft'
+    },
+    onAdd: function () {
+        const container = L.DomUtil.create('div', 'leaflet-bar');
+        const button = L.DomUtil.create('a', 'freehand-button', container);
+        button.href = '#';
+        button.title = 'Draw a freehand area';
+        button.innerHTML = '&#9998;';
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(button, 'click', event => {
+            L.DomEvent.preventDefault(event);
+            startFreehand();
+        });
+        return container;
+    }
+});
+map.addControl(new FreehandControl());
+
+// Rotated rectangle: click two corners along a street, then move out to set
+// the depth and click again. The model is turned so the first side runs
+// across the plate.
+const RotatedRectangleControl = L.Control.extend({
+    options: {
+        position: 'topleft'
+    },
+    onAdd: function () {
+        const container = L.DomUtil.create('div', 'leaflet-bar');
+        const button = L.DomUtil.create('a', 'rotated-rectangle-button', container);
+        button.href = '#';
+        button.title = 'Draw a rotated rectangle';
+        button.innerHTML = '&#9649;';
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(button, 'click', event => {
+            L.DomEvent.preventDefault(event);
+            startRotatedRectangle();
+        });
+        return container;
+    }
+});
+map.addControl(new RotatedRectangleControl());
+
+function startRotatedRectangle() {
+    const corners = [];
+    const preview = L.polygon([], selectionStyle).addTo(map);
+
+    // The rectangle on the first side with its far side through latlng,
+    // worked out in screen space, which keeps right angles
+    const rectangleTo = latlng => {
+        const a = map.latLngToLayerPoint(corners[0]);
+        const b = map.latLngToLayerPoint(corners[1]);
+        const c = map.latLngToLayerPoint(latlng);
+        const side = b.subtract(a);
+        const normal = L.point(-side.y, side.x).divideBy(side.distanceTo(L.point(0, 0)));
+        const offset = normal.multiplyBy((c.x - a.x) * normal.x + (c.y - a.y) * normal.y);
+        return [a, b, b.add(offset), a.add(offset)].map(point => map.layerPointToLatLng(point));
+    };
+    const onMove = event => {
+        if (corners.length === 1) preview.setLatLngs([corners[0], event.latlng]);
+        if (corners.length === 2) preview.setLatLngs(rectangleTo(event.latlng));
+    };
+    const onClick = event => {
+        if (corners.length < 2) {
+            corners.push(event.latlng);
+            return;
+        }
+        finish();
+        const outline = rectangleTo(event.latlng);
+        if (outline[1].equals(outline[2])) return;
+        selectArea(L.polygon(outline, selectionStyle), outline, uprightRotation(edgeRotation(outline)));
+    };
+    const finish = () => {
+        map.off('mousemove', onMove).off('click', onClick);
+        map.removeLayer(preview);
+        map.getContainer().style.cursor = '';
+    };
+
+    map.getContainer().style.cursor = 'crosshair';
+    map.on('mousemove', onMove).on('click', onClick);
+}
+
+// Within a quarter turn either way, so the model is never upside down
+function uprightRotation(degrees) {
+    const turned = ((degrees % 180) + 180) % 180;
+    return turned > 90 ? turned - 180 : turned;
+}
+
+function startFreehand() {
+    let sketch = null;
+
+    const onDown = event => {
+        sketch = L.polyline([event.latlng], selectionStyle).addTo(map);
+    };
+    const onMove = event => {
+        if (!sketch) return;
+        const latlngs = sketch.getLatLngs();
+        const last = map.latLngToContainerPoint(latlngs[latlngs.length - 1]);
+        if (last.distanceTo(event.containerPoint) >= 4) {
+            sketch.addLatLng(event.latlng);
+        }
+    };
+    const onUp = () => {
+        map.off('mousedown', onDown).off('mousemove', onMove).off('mouseup', onUp);
+        map.dragging.enable();
+        map.getContainer().style.cursor = '';
+        if (!sketch) return;
+
+        const latlngs = sketch.getLatLngs();
+        map.removeLayer(sketch);
+        if (latlngs.length >= 3) {
+            selectArea(L.polygon(latlngs, selectionStyle), latlngs);
+        }
+    };
+
+    map.dragging.disable();
+    map.getContainer().style.cursor = 'crosshair';
+    map.on('mousedown', onDown).on('mousemove', onMove).on('mouseup', onUp);
+}
+
 // Handle draw:created event
 map.on(L.Draw.Event.CREATED, function (event) {
     const layer = event.layer;
+    const outline = event.layerType === 'circle'
+        ? circleOutline(layer.getLatLng(), layer.getRadius())
+        : layer.getLatLngs()[0];
+    selectArea(layer, outline);
+});
+
+// A selection is the outline the model is cut to, plus its bounding box and
+// how far the model is turned to lie square on the plate
+function selectArea(layer, outline, rotation = 0) {
+    drawnItems.clearLayers();
     drawnItems.addLayer(layer);
 
-    const bounds = layer.getBounds();
-    console.log('Selected area bounds:', bounds);
-    fetchOsmData(bounds);
-});
-
-function fetchOsmData(bounds) {
-    const overpassUrl = 'https://overpass-api.de/api/interpreter';
-    const s = bounds.getSouth();
-    const w = bounds.getWest();
-    const n = bounds.getNorth();
-    const e = bounds.getEast();
-
-    const query = `
-        [out:json];
-        (
-            way[building](${s},${w},${n},${e});
-            relation[building](${s},${w},${n},${e});
-            way[highway](${s},${w},${n},${e});
-            way[leisure=park](${s},${w},${n},${e});
-            relation[leisure=park](${s},${w},${n},${e});
-            way[natural=water](${s},${w},${n},${e});
-            relation[natural=water](${s},${w},${n},${e});
-            way[natural=sand](${s},${w},${n},${e});
-            relation[natural=sand](${s},${w},${n},${e});
-        );
-        (._;>;);
-        out;
-    `;
-
-    fetch(overpassUrl, {
-        method: 'POST',
-        body: 'data=' + encodeURIComponent(query)
-    })
-    .then(response => response.json())
-    .then(data => {
-        console.log('OpenStreetMap data:', data);
-        generateModel(data, bounds);
-    })
-    .catch(error => {
-        console.error('Error fetching OpenStreetMap data:', error);
-    });
+    const selection = { outline, bounds: L.latLngBounds(outline), rotation };
+    console.log('Selected area:', selection);
+    fetchOsmData(selection);
 }
 
-function generateModel(data, bounds) {
-    // Clear existing objects from the scene
-    const oldModelGroup = scene.getObjectByName("modelGroup");
-    if (oldModelGroup) {
-        scene.remove(oldModelGroup);
+// Circles become a polygon fine enough to print smoothly
+function circleOutline(center, radius, segments = 64) {
+    const outline = [];
+    for (let i = 0; i < segments; i++) {
+        const angle = 2 * Math.PI * i / segments;
+        outline.push(L.latLng(
+            center.lat + radius * Math.sin(angle) / 110574,
+            center.lng + radius * Math.cos(angle) / (111320 * Math.cos(center.lat * Math.PI / 180))
+        ));
     }
+    return outline;
+}
 
-    const modelGroup = new THREE.Group();
-    modelGroup.name = "modelGroup";
-    scene.add(modelGroup);
+// Layer style set in the style panel, kept between visits
+let style = loadSavedStyle();
 
-    const nodes = {};
-    data.elements.forEach(el => {
-        if (el.type === 'node') {
-            nodes[el.id] = el;
-        }
-    });
+function loadSavedStyle() {
+    try {
+        return normalizeStyle(JSON.parse(localStorage.getItem('style')) || {});
+    } catch (error) {
+        console.warn('Ignoring the saved style:', error);
+        return normalizeStyle({});
+    }
+}
 
-    const centerLat = (bounds.getSouth() + bounds.getNorth()) / 2;
-    const centerLon = (bounds.getWest() + bounds.getEast()) / 2;
-
-    function latLonToVector3(lat, lon) {
-        const x = -(lon - centerLon) * 111320 * Math.cos(lat * Math.PI / 180); // longitude to meters, negated to fix mirror
-        const z = -(lat - centerLat) * 110574; // latitude to meters, negated to match map orientation
-        return new THREE.Vector3(x, 0, z); // y is up
-    }
-
-    const sw = latLonToVector3(bounds.getSouth(), bounds.getWest());
-    const ne = latLonToVector3(bounds.getNorth(), bounds.getEast());
-    const modelWidth = ne.x - sw.x;
-    const modelDepth = sw.z - ne.z;
-
-    const modelSizeMM = document.getElementById('model-size').value || 200;
-    const horizontalMaxDim = Math.max(modelWidth, modelDepth);
-    const sceneScale = horizontalMaxDim / parseFloat(modelSizeMM);
-
-    // Use a display scale that makes layers clearly visible in the preview
-    const displayVerticalScale = horizontalMaxDim / 50; // Makes layers proportional to model size
-    
-    // Define heights in scene units for display
-    const baseHeight = 0.6 * displayVerticalScale;
-    const waterY = baseHeight + (0.1 * displayVerticalScale); // Moved down to be below grass
-    const roadY = baseHeight + (0.6 * displayVerticalScale); // Increased to be above grass
-    const grassY = baseHeight + (0.2 * displayVerticalScale);
-
-    // Create a base
-    const baseGeometry = new THREE.BoxGeometry(modelWidth, baseHeight, modelDepth);
-    const baseMaterial = new THREE.MeshStandardMaterial({ color: 0xcccccc });
-    const baseMesh = new THREE.Mesh(baseGeometry, baseMaterial);
-    baseMesh.position.y = baseHeight / 2;
-    baseMesh.userData.originalHeight = 0.6; // Store original height for export
-    modelGroup.add(baseMesh);
-    
-    // Create water plane
-    const waterGeometry = new THREE.PlaneGeometry(modelWidth, modelDepth);
-    const waterMaterial = new THREE.MeshStandardMaterial({ color: 0x2196F3, side: THREE.DoubleSide }); // Blue water
-    const waterMesh = new THREE.Mesh(waterGeometry, waterMaterial);
-    waterMesh.rotation.x = -Math.PI / 2;
-    waterMesh.position.y = waterY;
-    waterMesh.userData.originalHeight = 0.1; // Updated to match new position
-    modelGroup.add(waterMesh);
-
-    const boundsPolygon = [
-        new THREE.Vector3(sw.x, 0, sw.z),
-        new THREE.Vector3(ne.x, 0, sw.z),
-        new THREE.Vector3(ne.x, 0, ne.z),
-        new THREE.Vector3(sw.x, 0, ne.z)
-    ];
-
-    // Pre-process to calculate building heights
-    const buildingElements = data.elements.filter(el => el.type === 'way' && el.tags && el.tags.building);
-    let minBuildingHeightInMeters = Infinity;
-    let maxBuildingHeightInMeters = 0;
-
-    buildingElements.forEach(el => {
-        let height;
-        if (el.tags.height) {
-            const parsedHeight = parseFloat(el.tags.height);
-            if (!isNaN(parsedHeight)) height = parsedHeight;
-        } else if (el.tags['building:levels']) {
-            const parsedLevels = parseFloat(el.tags['building:levels']);
-            if (!isNaN(parsedLevels)) height = parsedLevels * 3;
-        }
-        
-        if (height === undefined) height = 5; // default
-        
-        el.calculatedHeight = height;
-        
-        if (height > 0) {
-            if (height < minBuildingHeightInMeters) minBuildingHeightInMeters = height;
-            if (height > maxBuildingHeightInMeters) maxBuildingHeightInMeters = height;
-        }
-    });
+// Parsing, building and exporting run in a worker so the map and preview
+// stay responsive. The worker gets the page's import map with its paths made
+// absolute.
+const importMap = JSON.parse(document.querySelector('script[type="importmap"]').textContent);
+Object.keys(importMap.imports).forEach(name => {
+    importMap.imports[name] = new URL(importMap.imports[name], document.baseURI).href;
+});
+const modelWorker = new ModelWorker(importMap, showProgress);
 
-    const minPrintHeightMM = 0.8;
-    const maxPrintHeightMM = 8.0; // Reduced max height for better proportions
+// A download in progress, which Cancel aborts along with the worker
+let downloadController = null;
 
-    data.elements.forEach(el => {
-        if (el.type === 'way') {
-            const points = el.nodes.map(nodeId => {
-                const node = nodes[nodeId];
-                if (node) {
-                    return latLonToVector3(node.lat, node.lon);
-                }
-                return null;
-            }).filter(p => p);
+function showProgress(stage, fraction) {
+    document.getElementById('progress').hidden = false;
+    document.getElementById('progress-stage').textContent = stage;
+    const bar = document.getElementById('progress-bar');
+    if (fraction === undefined) {
+        bar.removeAttribute('value');
+    } else {
+        bar.value = fraction;
+    }
+}
 
-            if (points.length < 2) return;
+function hideProgress() {
+    if (!downloadController && !modelWorker.busy) {
+        document.getElementById('progress').hidden = true;
+    }
+}
 
-            if (el.tags && el.tags.building) {
-                const shape = new THREE.Shape();
-                shape.moveTo(points[0].x, points[0].z);
-                for (let i = 1; i < points.length; i++) {
-                    shape.lineTo(points[i].x, points[i].z);
-                }
-                shape.closePath();
+// Runs a worker request with the progress bar up. Cancelled requests reject
+// with an AbortError, which callers pass over quietly.
+function runInWorker(stage, type, payload, transfer) {
+    showProgress(stage);
+    const request = modelWorker.run(type, payload, transfer);
+    request.then(hideProgress, hideProgress);
+    return request;
+}
 
-                let buildingPrintHeightMM = minPrintHeightMM;
-                if (el.calculatedHeight && maxBuildingHeightInMeters > minBuildingHeightInMeters) {
-                    const heightRatio = (el.calculatedHeight - minBuildingHeightInMeters) / (maxBuildingHeightInMeters - minBuildingHeightInMeters);
-                    buildingPrintHeightMM = minPrintHeightMM + heightRatio * (maxPrintHeightMM - minPrintHeightMM);
-                }
-                
-                // Ensure minimum height and reasonable scaling
-                buildingPrintHeightMM = Math.max(minPrintHeightMM, Math.min(maxPrintHeightMM, buildingPrintHeightMM));
-                
-                const displayBuildingHeight = buildingPrintHeightMM * displayVerticalScale;
-                
-                const extrudeSettings = {
-                    steps: 1,
-                    depth: displayBuildingHeight,
-                    bevelEnabled: false,
-                };
-
-                const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-                const material = new THREE.MeshStandardMaterial({ color: 0x888888 }); // Grey buildings
-                const mesh = new THREE.Mesh(geometry, material);
-                mesh.rotation.x = -Math.PI / 2;
-                mesh.position.y = baseHeight;
-                mesh.userData.originalHeight = buildingPrintHeightMM;
-                modelGroup.add(mesh);
-            } else if (el.tags && el.tags.highway) {
-                const clippedLines = clipPolyline(points, boundsPolygon);
-                clippedLines.forEach(linePoints => {
-                    if (linePoints.length < 2) return;
-                    
-                    // Create road as thick line segments for better reliability
-                    const roadWidth = 1.0 * displayVerticalScale;
-                    const roadHeight = 0.2 * displayVerticalScale;
-                    
-                    for (let i = 0; i < linePoints.length - 1; i++) {
-                        const start = linePoints[i];
-                        const end = linePoints[i + 1];
-                        const distance = start.distanceTo(end);
-                        
-                        if (distance > 0.1) { // Only create segments for meaningful distances
-                            const roadGeometry = new THREE.BoxGeometry(distance, roadHeight, roadWidth);
-                            const roadMaterial = new THREE.MeshStandardMaterial({ color: 0x222222 }); // Black roads
-                            const roadMesh = new THREE.Mesh(roadGeometry, roadMaterial);
-                            
-                            const midpoint = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
-                            roadMesh.position.copy(midpoint);
-                            roadMesh.position.y = roadY;
-                            
-                            const direction = new THREE.Vector3().subVectors(end, start);
-                            roadMesh.lookAt(midpoint.clone().add(direction));
-                            roadMesh.rotateY(Math.PI / 2);
-                            
-                            roadMesh.userData.originalHeight = 0.6;
-                            modelGroup.add(roadMesh);
-                        }
-                    }
-                });
-            } else if (el.tags && (el.tags.leisure === 'park' || el.tags.natural === 'sand')) {
-                const clippedPoints = clipPolygon(points, boundsPolygon);
-                if (clippedPoints.length < 3) return;
-
-                const shape = new THREE.Shape();
-                shape.moveTo(clippedPoints[0].x, clippedPoints[0].z);
-                for (let i = 1; i < clippedPoints.length; i++) {
-                    shape.lineTo(clippedPoints[i].x, clippedPoints[i].z);
-                }
-                shape.closePath();
+document.getElementById('cancel-btn').addEventListener('click', () => {
+    if (downloadController) downloadController.abort();
+    nextBuild = null;
+    modelWorker.cancel();
+    hideProgress();
+});
 
-                let color, featureHeightMM;
-                switch (el.tags.natural || el.tags.leisure) {
-                    case 'sand': color = 0xf4e4bc; featureHeightMM = 0.1; break;
-                    case 'park': color = 0x4CAF50; featureHeightMM = 0.2; break; // Green parks
-                    default: color = 0x4CAF50; featureHeightMM = 0.2; // Default to green for yards
-                }
+// Last fetched area, kept so the model can be rebuilt when settings change
+let currentOsmData = null;
+let currentSelection = null;
 
-                if (featureHeightMM > 0) {
-                    const displayFeatureHeight = featureHeightMM * displayVerticalScale;
-                    const extrudeSettings = {
-                        steps: 1,
-                        depth: displayFeatureHeight,
-                        bevelEnabled: false,
-                    };
-                    const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-                    const material = new THREE.MeshStandardMaterial({ color: color });
-                    const mesh = new THREE.Mesh(geometry, material);
-                    mesh.rotation.x = -Math.PI / 2;
-                    mesh.position.y = grassY;
-                    mesh.userData.originalHeight = featureHeightMM;
-                    modelGroup.add(mesh);
-                }
-            }
-        }
-    });
+// Optional local elevation model loaded from DEM files
+let elevationModel = null;
 
-    const box = new THREE.Box3().setFromObject(modelGroup);
-    fitCameraToBox(box, camera);
+// Map data imported from a file; while set it is used instead of Overpass
+let importedElements = null;
 
-    // Center the model for export
-    const center = box.getCenter(new THREE.Vector3());
-    modelGroup.position.x -= center.x;
-    modelGroup.position.z -= center.z;
-    modelGroup.position.y -= box.min.y;
-}
-
-function clipPolygon(subjectPolygon, clipPolygon) {
-    let newPolygon = subjectPolygon;
-    for (let i = 0; i < clipPolygon.length; i++) {
-        const clipEdgeStart = clipPolygon[i];
-        const clipEdgeEnd = clipPolygon[(i + 1) % clipPolygon.length];
-        
-        const inputList = newPolygon;
-        newPolygon = [];
-        
-        if (inputList.length === 0) {
-            break;
-        }
+// The Overpass endpoint can point at a mirror or a local instance. When it
+// fails, the public mirrors are tried in turn unless that is switched off.
+const overpassUrlInput = document.getElementById('overpass-url');
+const overpassTimeoutInput = document.getElementById('overpass-timeout');
+const overpassMirrorsInput = document.getElementById('overpass-mirrors');
+overpassUrlInput.value = localStorage.getItem('overpassUrl') || overpassUrlInput.value;
+overpassTimeoutInput.value = localStorage.getItem('overpassTimeout') || overpassTimeoutInput.value;
+overpassMirrorsInput.checked = localStorage.getItem('overpassMirrors') !== 'false';
+overpassUrlInput.addEventListener('change', () => {
+    localStorage.setItem('overpassUrl', overpassUrlInput.value.trim());
+});
+overpassTimeoutInput.addEventListener('change', () => {
+    localStorage.setItem('overpassTimeout', overpassTimeoutInput.value);
+});
+overpassMirrorsInput.addEventListener('change', () => {
+    localStorage.setItem('overpassMirrors', overpassMirrorsInput.checked);
+});
 
-        let S = inputList[inputList.length - 1];
-        for (let j = 0; j < inputList.length; j++) {
-            let E = inputList[j];
-            let sInside = isInside(S, clipEdgeStart, clipEdgeEnd);
-            let eInside = isInside(E, clipEdgeStart, clipEdgeEnd);
+// Overpass refuses answers larger than this instead of running out of memory
+const OVERPASS_MAX_SIZE_BYTES = 256 * 1024 * 1024;
 
-            if (eInside) {
-                if (!sInside) {
-                    const I = intersection(S, E, clipEdgeStart, clipEdgeEnd);
-                    newPolygon.push(I);
-                }
-                newPolygon.push(E);
-            } else if (sInside) {
-                const I = intersection(S, E, clipEdgeStart, clipEdgeEnd);
-                newPolygon.push(I);
-            }
-            S = E;
-        }
+// Selections larger than LARGE_AREA_KM2 are counted before the download, and
+// the user is asked before one with more than MANY_ELEMENTS features, or
+// larger than HUGE_AREA_KM2 if the count fails
+const LARGE_AREA_KM2 = 2;
+const HUGE_AREA_KM2 = 25;
+const MANY_ELEMENTS = 20000;
+
+function fetchOsmData(selection) {
+    const bounds = selection.bounds;
+    if (importedElements) {
+        const elements = cropElements(importedElements, {
+            south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast()
+        });
+        showOsmData({ elements }, selection);
+        return;
     }
-    return newPolygon;
-}
 
-function clipPolyline(polyline, clipPolygon) {
-    const clippedLines = [];
-    let currentLine = [];
-    for (let i = 0; i < polyline.length - 1; i++) {
-        const p1 = polyline[i];
-        const p2 = polyline[i+1];
-        const clippedSegment = cohenSutherlandClip(p1, p2, clipPolygon);
-        if (clippedSegment) {
-            if (currentLine.length > 0 && !currentLine[currentLine.length-1].equals(clippedSegment[0])) {
-                clippedLines.push(currentLine);
-                currentLine = [];
-            }
-            if(currentLine.length === 0) {
-                 currentLine.push(clippedSegment[0]);
-            }
-            currentLine.push(clippedSegment[1]);
-        } else {
-            if (currentLine.length > 0) {
-                clippedLines.push(currentLine);
-                currentLine = [];
-            }
+    const overpassUrl = overpassUrlInput.value.trim();
+    const endpoints = [overpassUrl].concat(overpassMirrorsInput.checked ? overpassMirrors.filter(url => url !== overpassUrl) : []);
+    const timeoutS = Math.max(10, parseFloat(overpassTimeoutInput.value) || 90);
+    const areaTags = areaTagsOf(style);
+    const query = overpassQuery(selection.outline, { timeoutS, maxSizeBytes: OVERPASS_MAX_SIZE_BYTES, areaTags });
+
+    // Downloads are cached by area and query, so revisiting an area works
+    // offline; the server settings do not change the answer
+    const box = [bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast()];
+    const cacheKey = `${box.map(value => value.toFixed(6)).join(',')}|${overpassQuery(selection.outline, { areaTags })}`;
+
+    if (downloadController) downloadController.abort();
+    const controller = new AbortController();
+    downloadController = controller;
+    showProgress('Downloading map data');
+
+    // The client waits a little longer than the server's own timeout, so the
+    // server's explanation arrives first
+    const download = text => fetchOverpass(text, {
+        endpoints,
+        timeoutS: timeoutS + 30,
+        signal: controller.signal,
+        onStatus: setOsmStatus
+    });
+
+    readCache(cacheKey)
+    .then(cached => {
+        if (cached) {
+            setOsmStatus('Using the cached download of this area.');
+            return cached;
         }
-    }
-    if (currentLine.length > 0) {
-        clippedLines.push(currentLine);
-    }
-    return clippedLines;
+        return confirmLargeSelection(selection.outline, download)
+            .then(proceed => {
+                if (!proceed) {
+                    const error = new Error('The download was cancelled');
+                    error.name = 'AbortError';
+                    throw error;
+                }
+                showProgress('Downloading map data');
+                return download(query);
+            })
+            .then(data => {
+                writeCache(cacheKey, data);
+                setOsmStatus(`Downloaded ${data.elements.length.toLocaleString()} elements.`);
+                return data;
+            });
+    })
+    .then(data => {
+        if (controller.signal.aborted) return;
+        downloadController = null;
+        showOsmData(data, selection);
+    })
+    .catch(error => {
+        if (downloadController === controller) downloadController = null;
+        hideProgress();
+        if (error.name === 'AbortError') {
+            setOsmStatus('Download cancelled.');
+            return;
+        }
+        setOsmStatus(`Could not download map data: ${error.message}`, 'error');
+        console.error('Error fetching OpenStreetMap data:', error);
+    });
 }
 
-function cohenSutherlandClip(p1, p2, boundsPolygon) {
-    const min = boundsPolygon[3];
-    const max = boundsPolygon[1];
-    const INSIDE = 0; // 0000
-    const LEFT = 1;   // 0001
-    const RIGHT = 2;  // 0010
-    const BOTTOM = 4; // 0100
-    const TOP = 8;    // 1000
+// Resolves to whether to go ahead with downloading the outline: small areas
+// always do, larger ones are counted first and the user decides on big ones
+function confirmLargeSelection(outline, download) {
+    const areaKm2 = outlineAreaKm2(outline);
+    if (areaKm2 < LARGE_AREA_KM2) return Promise.resolve(true);
 
-    const getCode = (p) => {
-        let code = INSIDE;
-        if (p.x < min.x) code |= LEFT;
-        else if (p.x > max.x) code |= RIGHT;
-        if (p.z < min.z) code |= BOTTOM;
-        else if (p.z > max.z) code |= TOP;
-        return code;
-    };
+    showProgress('Sizing up the selection');
+    return download(overpassQuery(outline, { timeoutS: 60, areaTags: areaTagsOf(style), count: true }))
+        .then(countedElements, error => {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Could not count the selected features:', error);
+            return undefined;
+        })
+        .then(count => {
+            if (count === undefined ? areaKm2 < HUGE_AREA_KM2 : count < MANY_ELEMENTS) return true;
+            const contents = count === undefined ? 'an unknown number of features' : `about ${count.toLocaleString()} features`;
+            return confirm(`The selection covers ${areaKm2.toFixed(1)} km² with ${contents}. ` +
+                'Downloading and building it may take minutes and a lot of memory. Continue?');
+        });
+}
 
-    let code1 = getCode(p1);
-    let code2 = getCode(p2);
-    let accept = false;
+function showOsmData(data, selection) {
+    console.log('OpenStreetMap data:', data);
+    currentOsmData = data;
+    currentSelection = selection;
+    updateLink();
+    generateModel(data, selection);
+}
 
-    while (true) {
-        if ((code1 === 0) && (code2 === 0)) {
-            accept = true;
-            break;
-        } else if ((code1 & code2) !== 0) {
-            break;
-        } else {
-            let codeOut = code1 !== 0 ? code1 : code2;
-            let x, z;
-            if (codeOut & TOP) {
-                x = p1.x + (p2.x - p1.x) * (max.z - p1.z) / (p2.z - p1.z);
-                z = max.z;
-            } else if (codeOut & BOTTOM) {
-                x = p1.x + (p2.x - p1.x) * (min.z - p1.z) / (p2.z - p1.z);
-                z = min.z;
-            } else if (codeOut & RIGHT) {
-                z = p1.z + (p2.z - p1.z) * (max.x - p1.x) / (p2.x - p1.x);
-                x = max.x;
-            } else if (codeOut & LEFT) {
-                z = p1.z + (p2.z - p1.z) * (min.x - p1.x) / (p2.x - p1.x);
-                x = min.x;
-            }
+// The build in the worker, if one is running, and the area for the next one
+// when settings change meanwhile. Other requests may be queued behind a
+// running build, so it is left to finish; its result is dropped and only the
+// latest settings are built after it.
+let pendingBuild = null;
+let nextBuild = null;
 
-            if (codeOut === code1) {
-                p1 = new THREE.Vector3(x, p1.y, z);
-                code1 = getCode(p1);
-            } else {
-                p2 = new THREE.Vector3(x, p2.y, z);
-                code2 = getCode(p2);
-            }
-        }
+function generateModel(data, selection) {
+    const bounds = selection.bounds;
+    if (elevationModel && !elevationModel.covers(bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast())) {
+        setDemStatus('The loaded elevation data does not cover the whole selection; uncovered parts are flat.');
     }
 
-    if (accept) {
-        return [p1, p2];
+    if (pendingBuild) {
+        nextBuild = { data, selection };
+        return;
     }
-    return null;
-}
+    const build = runInWorker('Building the model', 'build', {
+        data,
+        outline: selection.outline.map(p => ({ lat: p.lat, lng: p.lng })),
+        options: {
+            style,
+            modelSizeMM: parseFloat(document.getElementById('model-size').value) || 200,
+            rotation: selection.rotation,
+            terrainExaggeration: parseFloat(document.getElementById('terrain-exaggeration').value) || 0,
+            elevationGrids: elevationModel && elevationModel.grids,
+            title: document.getElementById('title-text').value,
+            simplifyMM: parseFloat(document.getElementById('simplify-tolerance').value) || 0,
+            minBuildingMM2: parseFloat(document.getElementById('min-building').value) || 0,
+            layers: printLayerSettings()
+        }
+    });
+    pendingBuild = build;
 
+    build.then(model => {
+        if (nextBuild) return;
 
-function isInside(p, edgeStart, edgeEnd) {
-    return (edgeEnd.x - edgeStart.x) * (p.z - edgeStart.z) > (edgeEnd.z - edgeStart.z) * (p.x - edgeStart.x);
-}
+        // Clear existing objects from the scene
+        const oldModelGroup = scene.getObjectByName("modelGroup");
+        if (oldModelGroup) {
+            scene.remove(oldModelGroup);
+        }
 
-function intersection(s, e, clipEdgeStart, clipEdgeEnd) {
-    const dc = { x: clipEdgeStart.x - clipEdgeEnd.x, z: clipEdgeStart.z - clipEdgeEnd.z };
-    const dp = { x: s.x - e.x, z: s.z - e.z };
-    const n1 = clipEdgeStart.x * clipEdgeEnd.z - clipEdgeStart.z * clipEdgeEnd.x;
-    const n2 = s.x * e.z - s.z * e.x;
-    const n3 = 1.0 / (dc.x * dp.z - dc.z * dp.x);
-    return new THREE.Vector3(
-        (n1 * dp.x - n2 * dc.x) * n3,
-        s.y,
-        (n1 * dp.z - n2 * dc.z) * n3
-    );
+        const modelGroup = deserializeModel(model, style);
+        scene.add(modelGroup);
+        showPreview(modelGroup);
+        showProjection(modelGroup.userData.projection);
+        showColourPlan();
+        document.getElementById('simplify-status').textContent = simplificationSummary(modelGroup.userData.simplification);
+        fitCameraToBox(new THREE.Box3().setFromObject(modelGroup), camera);
+
+        updateTiles();
+    }).catch(error => {
+        if (error.name !== 'AbortError') console.error('Error building the model:', error);
+    }).then(() => {
+        pendingBuild = null;
+        if (nextBuild) {
+            const next = nextBuild;
+            nextBuild = null;
+            generateModel(next.data, next.selection);
+        }
+    });
 }
 
-function fitCameraToBox(box, camera) {
+// Looks at the box from `direction`, whose length scales the distance; the
+// default is a bit of a heuristic to get a nice initial angle
+function fitCameraToBox(box, camera, direction = new THREE.Vector3(0, 1, 1)) {
     const center = box.getCenter(new THREE.Vector3());
     const size = box.getSize(new THREE.Vector3());
 
@@ -454,8 +511,7 @@ function fitCameraToBox(box, camera) {
     const fov = camera.fov * (Math.PI / 180);
     const cameraDistance = (maxDim / 2) / Math.tan(fov / 2);
 
-    // A bit of a heuristic to get a nice initial angle
-    camera.position.set(center.x, center.y + cameraDistance, center.z + cameraDistance);
+    camera.position.copy(center).addScaledVector(direction, cameraDistance);
     camera.lookAt(center);
 
     camera.far = cameraDistance * 3;
@@ -516,61 +572,742 @@ function animate() {
 
 initThree();
 
-const exportBtn = document.getElementById('export-btn');
-exportBtn.addEventListener('click', () => {
-    const exporter = new _3MFExporter();
-    
-    const modelSizeMM = document.getElementById('model-size').value;
-    const sceneBbox = new THREE.Box3().setFromObject(scene);
-    const sceneSize = sceneBbox.getSize(new THREE.Vector3());
-    const maxDim = Math.max(sceneSize.x, sceneSize.y, sceneSize.z);
-    
-    // Create a scaled version for export
-    const exportScene = new THREE.Scene();
+// Preview: layers can be hidden, and buildings and roads picked to see their
+// OSM tags. The building or road under the pointer is outlined both in the
+// 3D view and on the map, wherever the pointer is. The print bed is drawn to
+// scale under the model.
+const hiddenClasses = new Set();
+const highlightColour = '#ff7800';
+const mapHighlight = L.layerGroup().addTo(map);
+const highlightMaterial = new THREE.MeshStandardMaterial({ color: highlightColour, polygonOffset: true, polygonOffsetFactor: -1 });
+const highlightLineMaterial = new THREE.LineBasicMaterial({ color: highlightColour, depthTest: false });
+const raycaster = new THREE.Raycaster();
+let features = [];
+let lookup = null;
+let highlighted = -1;
+
+function showPreview(modelGroup) {
+    features = modelGroup.userData.features;
+    lookup = featureLookup(features, modelGroup.userData.projection);
+    highlighted = null; // Whatever was outlined belongs to the old model
+    highlightFeature(-1);
+    showFeatureInfo(-1);
+    buildLayerToggles(modelGroup);
+    updatePrintBed();
+}
+
+function buildLayerToggles(modelGroup) {
+    const container = document.getElementById('preview-layers');
+    container.innerHTML = '';
+    const present = new Set(modelGroup.children.map(mesh => mesh.userData.featureClass));
+    Object.keys(featureClasses).filter(layer => present.has(layer)).forEach(layer => {
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = !hiddenClasses.has(layer);
+        input.addEventListener('change', () => {
+            if (input.checked) hiddenClasses.delete(layer);
+            else hiddenClasses.add(layer);
+            showLayers(modelGroup);
+        });
+        const wrapper = document.createElement('label');
+        wrapper.append(input, ` ${featureClasses[layer].name}`);
+        container.appendChild(wrapper);
+    });
+    showLayers(modelGroup);
+}
+
+// Hidden layers only leave the preview; they are still exported
+function showLayers(modelGroup) {
+    modelGroup.children.forEach(mesh => {
+        mesh.visible = !hiddenClasses.has(mesh.userData.featureClass);
+    });
+}
+
+// The feature under a pointer event in the 3D view, or -1: the building
+// mesh hit, or the road at the point hit on a road or bridge
+function pointedFeature(event) {
+    const modelGroup = scene.getObjectByName("modelGroup");
+    if (!modelGroup || !lookup) return -1;
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        (event.clientX - rect.left) / rect.width * 2 - 1,
+        -(event.clientY - rect.top) / rect.height * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObjects(modelGroup.children.filter(mesh => mesh.visible))[0];
+    if (!hit) return -1;
+    if (hit.object.userData.feature !== undefined) return hit.object.userData.feature;
+    if (!['roads', 'bridges'].includes(hit.object.userData.featureClass)) return -1;
+    const point = modelGroup.worldToLocal(hit.point.clone());
+    return lookup.at(point.x, point.z, ['road']);
+}
+
+function highlightFeature(index) {
+    if (index === highlighted) return;
+    highlighted = index;
+    mapHighlight.clearLayers();
+    const old = scene.getObjectByName("featureHighlight");
+    if (old) {
+        scene.remove(old);
+        old.children.filter(child => child.isLine).forEach(line => line.geometry.dispose());
+    }
+    const modelGroup = scene.getObjectByName("modelGroup");
+    if (index < 0 || !modelGroup) return;
+
+    const { kind, rings, width } = features[index];
+    const latLngs = rings.map(ring => ring.map(c => [c.lat, c.lon]));
+    const mapStyle = { color: highlightColour, weight: 4, interactive: false };
+    mapHighlight.addLayer(width > 0 ? L.polyline(latLngs, mapStyle) : L.polygon(latLngs, mapStyle));
+
+    // Buildings light up; roads, which share their meshes, get their centre
+    // line or outline laid on the model's surface
+    const highlight = new THREE.Group();
+    highlight.name = "featureHighlight";
+    if (kind === 'building') {
+        modelGroup.children.filter(mesh => mesh.userData.feature === index).forEach(mesh => {
+            const copy = new THREE.Mesh(mesh.geometry, highlightMaterial);
+            copy.applyMatrix4(mesh.matrixWorld);
+            highlight.add(copy);
+        });
+    } else {
+        const top = new THREE.Box3().setFromObject(modelGroup).max.y + 1;
+        const surface = modelGroup.children.filter(mesh => mesh.visible);
+        lookup.rings(index).forEach(ring => {
+            const points = ring.map(p => {
+                const above = modelGroup.localToWorld(new THREE.Vector3(p.x, 0, p.z)).setY(top);
+                raycaster.set(above, new THREE.Vector3(0, -1, 0));
+                const hit = raycaster.intersectObjects(surface)[0];
+                return hit ? hit.point : above.setY(0);
+            });
+            const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), highlightLineMaterial);
+            line.renderOrder = 1;
+            highlight.add(line);
+        });
+    }
+    scene.add(highlight);
+}
+
+function showFeatureInfo(index) {
+    const info = document.getElementById('feature-info');
+    info.innerHTML = '';
+    info.hidden = index < 0;
+    if (index < 0) return;
+
+    const { kind, type, id, tags } = features[index];
+    const link = document.createElement('a');
+    link.href = `https://www.openstreetmap.org/${type}/${id}`;
+    link.target = '_blank';
+    link.textContent = `${kind === 'building' ? 'Building' : 'Road'}: ${type} ${id}`;
+    const table = document.createElement('table');
+    Object.keys(tags).sort().forEach(key => {
+        const row = table.insertRow();
+        row.insertCell().textContent = key;
+        row.insertCell().textContent = tags[key];
+    });
+    info.append(link, table);
+}
+
+// Hovering is looked up once a frame at most, and not while orbiting
+let hoverEvent = null;
+renderer.domElement.addEventListener('pointermove', event => {
+    if (event.buttons) return;
+    if (!hoverEvent) {
+        requestAnimationFrame(() => {
+            highlightFeature(pointedFeature(hoverEvent));
+            hoverEvent = null;
+        });
+    }
+    hoverEvent = event;
+});
+renderer.domElement.addEventListener('pointerleave', () => highlightFeature(-1));
+
+// A click, as opposed to a drag that orbits, inspects the feature
+let pointerDown = null;
+renderer.domElement.addEventListener('pointerdown', event => {
+    pointerDown = { x: event.clientX, y: event.clientY };
+});
+renderer.domElement.addEventListener('pointerup', event => {
+    if (pointerDown && Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y) < 5) {
+        showFeatureInfo(pointedFeature(event));
+    }
+    pointerDown = null;
+});
+
+map.on('mousemove', event => {
+    if (lookup) highlightFeature(lookup.atLatLon(event.latlng.lat, event.latlng.lng));
+});
+map.on('mouseout', () => highlightFeature(-1));
+
+function viewModel(direction) {
+    const modelGroup = scene.getObjectByName("modelGroup");
+    if (modelGroup) fitCameraToBox(new THREE.Box3().setFromObject(modelGroup), camera, direction);
+}
+
+// Straight down with north up, or along the diagonal of a cube
+document.getElementById('view-top').addEventListener('click', () => viewModel(new THREE.Vector3(0, 1, 0.001)));
+document.getElementById('view-isometric').addEventListener('click', () => viewModel(new THREE.Vector3(1, 1, 1)));
+
+// The bed outline with a 10 mm grid, centred under the model at its printed size
+function updatePrintBed() {
+    const oldBed = scene.getObjectByName("printBed");
+    if (oldBed) scene.remove(oldBed);
+    const status = document.getElementById('bed-status');
     const modelGroup = scene.getObjectByName("modelGroup");
-    
-    if (modelGroup) {
-        const exportGroup = new THREE.Group();
-        exportGroup.name = "exportGroup";
-        
-        // Calculate scale factor based on horizontal dimensions only
-        const modelBounds = new THREE.Box3().setFromObject(modelGroup);
-        const modelSize = modelBounds.getSize(new THREE.Vector3());
-        const horizontalScale = parseFloat(modelSizeMM) / Math.max(modelSize.x, modelSize.z);
-        
-        modelGroup.children.forEach(child => {
-            const clone = child.clone();
-            
-            // Scale horizontally
-            clone.scale.x *= horizontalScale;
-            clone.scale.z *= horizontalScale;
-            clone.position.x *= horizontalScale;
-            clone.position.z *= horizontalScale;
-            
-            // Use original heights for vertical scaling
-            if (child.userData.originalHeight !== undefined) {
-                const originalHeight = child.userData.originalHeight;
-                clone.scale.y = originalHeight * horizontalScale / child.scale.y;
-                clone.position.y = (child.position.y / child.scale.y) * clone.scale.y;
+    if (!modelGroup || !document.getElementById('show-bed').checked) {
+        status.textContent = '';
+        return;
+    }
+
+    const { bedWidth, bedDepth } = tileSettings();
+    const size = new THREE.Box3().setFromObject(modelGroup).getSize(new THREE.Vector3());
+    const mmPerUnit = parseFloat(document.getElementById('model-size').value) / Math.max(size.x, size.z);
+    const halfWidth = bedWidth / 2 / mmPerUnit, halfDepth = bedDepth / 2 / mmPerUnit;
+    const points = [];
+    for (let mm = 10; mm < bedWidth; mm += 10) {
+        const x = -halfWidth + mm / mmPerUnit;
+        points.push(new THREE.Vector3(x, 0, -halfDepth), new THREE.Vector3(x, 0, halfDepth));
+    }
+    for (let mm = 10; mm < bedDepth; mm += 10) {
+        const z = -halfDepth + mm / mmPerUnit;
+        points.push(new THREE.Vector3(-halfWidth, 0, z), new THREE.Vector3(halfWidth, 0, z));
+    }
+    const bed = new THREE.Group();
+    bed.name = "printBed";
+    bed.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color: 0xcccccc })));
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz]) => new THREE.Vector3(sx * halfWidth, 0, sz * halfDepth));
+    bed.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(corners), new THREE.LineBasicMaterial({ color: 0x555555 })));
+    scene.add(bed);
+    status.textContent = `${(size.x * mmPerUnit).toFixed(0)} × ${(size.z * mmPerUnit).toFixed(0)} mm on a ${bedWidth} × ${bedDepth} mm bed`;
+}
+
+// The projection the model was drawn in and how far it stretches the map
+function showProjection({ name, centerLat, centerLon, rotation, maxScaleError }) {
+    const modelSizeMM = parseFloat(document.getElementById('model-size').value) || 200;
+    const turned = rotation ? `, turned ${Math.abs(rotation).toFixed(1)}° ${rotation > 0 ? 'anticlockwise' : 'clockwise'}` : '';
+    document.getElementById('projection-status').textContent =
+        `${name} centred on ${coordinateTitle(centerLat, centerLon)}${turned}; ` +
+        `scale error up to ${(maxScaleError * 1e6).toFixed(1)} ppm (${(maxScaleError * modelSizeMM).toFixed(3)} mm over ${modelSizeMM} mm).`;
+}
+
+function setOsmStatus(message, severity = '') {
+    const status = document.getElementById('osm-status');
+    status.textContent = message;
+    status.className = severity;
+}
+
+// An imported file models the current selection, or the whole extract when
+// nothing is selected yet
+document.getElementById('osm-file').addEventListener('change', event => {
+    const file = event.target.files[0];
+    if (!file) {
+        importedElements = null;
+        setOsmStatus('');
+        return;
+    }
+    file.arrayBuffer()
+        .then(buffer => runInWorker('Reading map data', 'parse', { name: file.name, buffer }, [buffer]))
+        .then(({ elements }) => {
+            const nodes = elements.filter(el => el.type === 'node');
+            if (nodes.length === 0) throw new Error('the file contains no nodes');
+            importedElements = elements;
+            setOsmStatus(`Using ${file.name} (${elements.length} elements) instead of Overpass.`);
+
+            if (currentSelection) {
+                fetchOsmData(currentSelection);
             } else {
-                clone.scale.y *= horizontalScale;
-                clone.position.y *= horizontalScale;
+                const extent = L.latLngBounds(nodes.map(node => [node.lat, node.lon]));
+                const rectangle = L.rectangle(extent, selectionStyle);
+                map.fitBounds(extent);
+                selectArea(rectangle, rectangle.getLatLngs()[0]);
+            }
+        })
+        .catch(error => {
+            importedElements = null;
+            if (error.name === 'AbortError') {
+                setOsmStatus('');
+                return;
             }
-            
-            exportGroup.add(clone);
+            setOsmStatus(`Could not read map data: ${error.message}`, 'error');
+            console.error('Error reading map data:', error);
         });
-        
-        exportScene.add(exportGroup);
-    }
-
-    exporter.parse(exportScene, (result) => {
-        const blob = new Blob([result], { type: 'application/vnd.ms-package.3dmanufacturing-3dmodel+xml' });
-        const link = document.createElement('a');
-        link.style.display = 'none';
-        document.body.appendChild(link);
-        link.href = URL.createObjectURL(blob);
-        link.download = 'model.3mf';
-        link.click();
-        document.body.removeChild(link);
+});
+
+document.getElementById('osm-file-clear').addEventListener('click', () => {
+    document.getElementById('osm-file').value = '';
+    importedElements = null;
+    setOsmStatus('');
+});
+
+document.getElementById('clear-cache-btn').addEventListener('click', () => {
+    clearCache()
+        .then(() => setOsmStatus('Cached downloads cleared.'))
+        .catch(error => setOsmStatus(`Could not clear cached downloads: ${error.message}`, 'error'));
+});
+
+function setDemStatus(message) {
+    document.getElementById('dem-status').textContent = message;
+}
+
+document.getElementById('dem-file').addEventListener('change', event => {
+    const files = Array.from(event.target.files);
+    if (files.length === 0) {
+        elevationModel = null;
+        setDemStatus('');
+    } else {
+        Promise.all(files.map(file => file.arrayBuffer().then(buffer => parseElevationFile(file.name, buffer))))
+            .then(grids => {
+                elevationModel = new ElevationModel(grids);
+                setDemStatus(`Loaded ${grids.map(grid => `${grid.width}×${grid.height}`).join(', ')} elevation grid(s).`);
+            })
+            .catch(error => {
+                elevationModel = null;
+                setDemStatus(`Could not read elevation data: ${error.message}`);
+                console.error('Error reading elevation data:', error);
+            })
+            .then(regenerateModel);
+        return;
+    }
+    regenerateModel();
+});
+
+// Widths, heights and decorations are laid out in printed millimetres
+document.getElementById('model-size').addEventListener('change', regenerateModel);
+document.getElementById('terrain-exaggeration').addEventListener('change', regenerateModel);
+['simplify-tolerance', 'min-building'].forEach(id => {
+    document.getElementById(id).addEventListener('change', regenerateModel);
+});
+document.getElementById('title-text').addEventListener('change', regenerateModel);
+
+// Colour changes by height: the model is rebuilt on the layer grid, and the
+// export carries the plan of filament changes
+function printLayerSettings() {
+    if (!document.getElementById('colour-by-height').checked) return null;
+    return {
+        layerHeightMM: parseFloat(document.getElementById('layer-height').value) || 0.2,
+        firstLayerMM: parseFloat(document.getElementById('first-layer-height').value) || 0.2
+    };
+}
+
+// The plan for the model in the preview, in the current colours, or null
+function currentColourPlan() {
+    const modelGroup = scene.getObjectByName("modelGroup");
+    if (!modelGroup || !modelGroup.userData.printLayers) return null;
+    return colourChangePlan(modelGroup.userData.printLayers, style, featureClasses);
+}
+
+function showColourPlan() {
+    const status = document.getElementById('colour-plan-status');
+    const plan = currentColourPlan();
+    if (!plan) {
+        status.textContent = '';
+        return;
+    }
+    status.textContent = `Start with ${plan.start.name}, then ${plan.changes.length} colour change(s)` +
+        (plan.terrain ? '; with terrain, colours only follow the classes on level ground.' : '.');
+    status.className = plan.terrain ? 'warning' : '';
+}
+
+['colour-by-height', 'layer-height', 'first-layer-height'].forEach(id => {
+    document.getElementById(id).addEventListener('change', regenerateModel);
+});
+
+// Style panel: one row per feature class. Colours repaint the preview in
+// place; everything else rebuilds the model from the data already loaded.
+function buildStylePanel() {
+    const container = document.getElementById('style-layers');
+    container.innerHTML = '';
+    Object.keys(featureClasses).forEach(layer => {
+        const row = document.createElement('div');
+        row.className = 'style-layer';
+        row.appendChild(styleInput(layer, { key: 'enabled', label: featureClasses[layer].name }));
+        row.appendChild(styleInput(layer, { key: 'color', label: 'Colour' }));
+        styleFields[layer].forEach(field => row.appendChild(styleInput(layer, field)));
+        container.appendChild(row);
+    });
+}
+
+function styleInput(layer, { key, label, step, min }) {
+    const value = style[layer][key];
+    const input = document.createElement('input');
+    const wrapper = document.createElement('label');
+    if (typeof value === 'boolean') {
+        input.type = 'checkbox';
+        input.checked = value;
+        wrapper.append(input, ` ${label}`);
+    } else {
+        input.type = typeof value === 'number' ? 'number' : 'color';
+        input.value = value;
+        if (step !== undefined) input.step = step;
+        if (min !== undefined) input.min = min;
+        wrapper.append(`${label} `, input);
+    }
+
+    input.addEventListener(input.type === 'color' ? 'input' : 'change', () => {
+        if (input.type === 'number') {
+            const number = parseFloat(input.value);
+            if (!(number >= 0)) {
+                input.value = style[layer][key];
+                return;
+            }
+            style[layer][key] = number;
+        } else {
+            style[layer][key] = input.type === 'checkbox' ? input.checked : input.value;
+        }
+        saveStyle();
+        if (input.type === 'color') {
+            applyStyleColours();
+        } else {
+            regenerateModel();
+        }
+    });
+    return wrapper;
+}
+
+function saveStyle() {
+    localStorage.setItem('style', JSON.stringify(style));
+    updateLink();
+}
+
+function applyStyleColours() {
+    const modelGroup = scene.getObjectByName("modelGroup");
+    if (!modelGroup) return;
+    modelGroup.traverse(object => {
+        if (object.isMesh) object.material.color.set(style[object.userData.featureClass].color);
     });
-}); 
\ No newline at end of file
+    showColourPlan();
+}
+
+function setStyle(newStyle) {
+    style = newStyle;
+    saveStyle();
+    buildStylePanel();
+    regenerateModel();
+}
+
+function setStyleStatus(message) {
+    document.getElementById('style-status').textContent = message;
+}
+
+document.getElementById('style-reset').addEventListener('click', () => {
+    setStyleStatus('');
+    setStyle(normalizeStyle({}));
+});
+
+document.getElementById('style-save').addEventListener('click', () => {
+    downloadBlob(new Blob([JSON.stringify(style, null, 2)], { type: 'application/json' }), 'style.json');
+});
+
+document.getElementById('style-file').addEventListener('change', event => {
+    const file = event.target.files[0];
+    if (!file) return;
+    file.text()
+        .then(text => {
+            setStyle(normalizeStyle(JSON.parse(text)));
+            setStyleStatus(`Loaded ${file.name}.`);
+        })
+        .catch(error => {
+            setStyleStatus(`Could not load style preset: ${error.message}`);
+            console.error('Error loading style preset:', error);
+        });
+    event.target.value = '';
+});
+
+buildStylePanel();
+
+function regenerateModel() {
+    if (currentOsmData) {
+        generateModel(currentOsmData, currentSelection);
+    }
+}
+
+// Tiles: the model is cut into a grid of pieces that each fit the printer
+// bed. The seams are drawn over the preview.
+function tileSettings() {
+    return {
+        columns: Math.max(1, parseInt(document.getElementById('tile-columns').value, 10) || 1),
+        rows: Math.max(1, parseInt(document.getElementById('tile-rows').value, 10) || 1),
+        joints: document.getElementById('tile-joints').value,
+        bedWidth: parseFloat(document.getElementById('bed-width').value) || 256,
+        bedDepth: parseFloat(document.getElementById('bed-depth').value) || 256
+    };
+}
+
+function updateTiles() {
+    const oldGrid = scene.getObjectByName("tileGrid");
+    if (oldGrid) scene.remove(oldGrid);
+    const status = document.getElementById('tile-status');
+    const modelGroup = scene.getObjectByName("modelGroup");
+    if (!modelGroup) {
+        status.textContent = '';
+        return;
+    }
+
+    const { columns, rows, joints, bedWidth, bedDepth } = tileSettings();
+    const size = new THREE.Box3().setFromObject(modelGroup).getSize(new THREE.Vector3());
+    const mmPerUnit = parseFloat(document.getElementById('model-size').value) / Math.max(size.x, size.z);
+
+    // Dovetail tabs stick out of the tile on its east and south sides
+    const tab = joints === 'dovetail' ? jointSizes.dovetail.depthMM : 0;
+    const tileWidth = size.x * mmPerUnit / columns + (columns > 1 ? tab : 0);
+    const tileDepth = size.z * mmPerUnit / rows + (rows > 1 ? tab : 0);
+    const fits = (tileWidth <= bedWidth && tileDepth <= bedDepth) || (tileWidth <= bedDepth && tileDepth <= bedWidth);
+    status.textContent = `${columns * rows} tile(s) of ${tileWidth.toFixed(0)} × ${tileDepth.toFixed(0)} mm` +
+        (fits ? '' : `, larger than the ${bedWidth} × ${bedDepth} mm bed`);
+    status.className = fits ? '' : 'warning';
+
+    if (columns * rows === 1) return;
+    const points = [];
+    const y = size.y * 1.01;
+    for (let i = 1; i < columns; i++) {
+        const x = -size.x / 2 + i * size.x / columns;
+        points.push(new THREE.Vector3(x, y, -size.z / 2), new THREE.Vector3(x, y, size.z / 2));
+    }
+    for (let i = 1; i < rows; i++) {
+        const z = -size.z / 2 + i * size.z / rows;
+        points.push(new THREE.Vector3(-size.x / 2, y, z), new THREE.Vector3(size.x / 2, y, z));
+    }
+    const grid = new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color: 0xff7800 }));
+    grid.name = "tileGrid";
+    scene.add(grid);
+}
+
+['tile-columns', 'tile-rows', 'tile-joints', 'bed-width', 'bed-depth', 'model-size'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateTiles);
+});
+['bed-width', 'bed-depth', 'model-size', 'show-bed'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updatePrintBed);
+});
+
+const exportFormatSelect = document.getElementById('export-format');
+Object.keys(exportFormats).forEach(format => {
+    exportFormatSelect.add(new Option(exportFormats[format].label, format));
+});
+
+// Scales the model to millimetres in the worker, merged per layer when
+// "Merge for print" is on, and checks it. The worker keeps the result for the
+// export that follows. Resolves to { issues }.
+function checkModel() {
+    const modelGroup = scene.getObjectByName("modelGroup");
+    return runInWorker('Checking printability', 'check', {
+        model: modelGroup ? serializeModel(modelGroup).model : null,
+        style,
+        modelSizeMM: parseFloat(document.getElementById('model-size').value) || 200,
+        merge: document.getElementById('merge-for-print').checked,
+        nozzleWidth: parseFloat(document.getElementById('nozzle-width').value) || 0.4
+    });
+}
+
+document.getElementById('check-btn').addEventListener('click', () => {
+    showExportReport([{ severity: 'info', message: 'Checking printability…' }]);
+    checkModel().then(({ issues }) => {
+        showExportReport(issues.length > 0 ? issues : [{ severity: 'info', message: 'No printability problems found.' }]);
+    }).catch(error => {
+        if (error.name === 'AbortError') {
+            showExportReport([]);
+            return;
+        }
+        console.error('Error checking model:', error);
+    });
+});
+
+const exportBtn = document.getElementById('export-btn');
+exportBtn.addEventListener('click', () => {
+    const format = exportFormatSelect.value;
+
+    showExportReport([{ severity: 'info', message: 'Checking printability…' }]);
+    checkModel().then(({ issues }) => {
+        const printIssues = issues;
+        showExportReport(printIssues);
+
+        const problems = printIssues.filter(issue => issue.severity === 'error');
+        if (problems.length > 0 && !confirm(`The model has ${problems.length} printability error(s). Export anyway?`)) {
+            return;
+        }
+
+        const { columns, rows, joints } = tileSettings();
+        const modelGroup = scene.getObjectByName("modelGroup");
+        return runInWorker('Exporting', 'export', {
+            format,
+            options: { slicerMetadata: document.getElementById('slicer-metadata').value, colourPlan: currentColourPlan() },
+            tiles: { columns, rows, joints, baseThicknessMM: modelGroup && modelGroup.userData.minBaseMM }
+        }).then(({ blob, filename, issues, tileIssues, sideFiles }) => {
+            showExportReport(printIssues.concat(tileIssues, issues));
+
+            const errors = issues.filter(issue => issue.severity === 'error');
+            if (errors.length > 0 && !confirm(`The 3MF package has ${errors.length} spec violation(s). Download anyway?`)) {
+                return;
+            }
+
+            downloadBlob(blob, filename);
+            Object.keys(sideFiles).forEach(name => downloadBlob(new Blob([sideFiles[name]], { type: 'text/plain' }), name));
+        });
+    }).catch(error => {
+        if (error.name === 'AbortError') {
+            showExportReport([]);
+            return;
+        }
+        console.error('Error exporting model:', error);
+    });
+});
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    document.body.removeChild(link);
+
+    // The download has its own copy once it starts; give it a moment
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function showExportReport(issues) {
+    const report = document.getElementById('export-report');
+    report.innerHTML = '';
+    issues.forEach(issue => {
+        const item = document.createElement('li');
+        item.className = issue.severity;
+        item.textContent = `${issue.severity}: ${issue.message}`;
+        report.appendChild(item);
+    });
+} 
+
+// Projects and links: the settings below, by input id, travel with the
+// selection. A project file also carries the style and the map data, so it
+// opens without downloading; a link carries the settings and style that
+// differ from the defaults, and downloads the area (or finds it in the cache).
+const projectSettings = [
+    'model-size', 'terrain-exaggeration', 'title-text', 'tile-columns', 'tile-rows', 'bed-width', 'bed-depth',
+    'tile-joints', 'export-format', 'slicer-metadata', 'nozzle-width', 'merge-for-print', 'colour-by-height',
+    'layer-height', 'first-layer-height', 'simplify-tolerance', 'min-building'
+];
+
+function readSettings() {
+    const settings = {};
+    projectSettings.forEach(id => {
+        const input = document.getElementById(id);
+        settings[id] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    return settings;
+}
+
+function applySettings(settings) {
+    projectSettings.filter(id => id in settings).forEach(id => {
+        const input = document.getElementById(id);
+        if (input.type === 'checkbox') {
+            input.checked = settings[id] === true || settings[id] === 'true';
+        } else {
+            input.value = settings[id];
+        }
+    });
+}
+
+// The values in the page's markup, not any the browser restored on reload
+const defaultSettings = {};
+projectSettings.forEach(id => {
+    const input = document.getElementById(id);
+    if (input.type === 'checkbox') {
+        defaultSettings[id] = input.defaultChecked;
+    } else if (input.tagName === 'SELECT') {
+        const option = Array.from(input.options).find(option => option.defaultSelected) || input.options[0];
+        defaultSettings[id] = option ? option.value : '';
+    } else {
+        defaultSettings[id] = input.defaultValue;
+    }
+});
+
+projectSettings.forEach(id => document.getElementById(id).addEventListener('change', updateLink));
+
+// Keeps the URL hash in step with the page, without adding history entries
+function updateLink() {
+    const hash = encodeHash({
+        outline: currentSelection && currentSelection.outline,
+        rotation: currentSelection && currentSelection.rotation,
+        settings: readSettings(),
+        defaults: defaultSettings,
+        style
+    });
+    if (hash !== location.hash.slice(1)) {
+        history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+    }
+}
+
+function selectionLayer(outline) {
+    return L.polygon(outline, selectionStyle);
+}
+
+function openLink(link) {
+    applySettings(link.settings);
+    if (link.style) {
+        style = link.style;
+        buildStylePanel();
+    }
+    if (link.outline) {
+        map.fitBounds(L.latLngBounds(link.outline));
+        selectArea(selectionLayer(link.outline), link.outline, link.rotation);
+    } else {
+        updateLink();
+        regenerateModel();
+    }
+}
+
+if (linked) openLink(linked);
+
+// Pasting another link into the address bar only changes the hash
+window.addEventListener('hashchange', () => {
+    const link = readLink();
+    if (link) openLink(link);
+});
+
+function setProjectStatus(message, severity = '') {
+    const status = document.getElementById('project-status');
+    status.textContent = message;
+    status.className = severity;
+}
+
+document.getElementById('project-save').addEventListener('click', () => {
+    if (!currentOsmData) {
+        setProjectStatus('Select an area before saving a project.', 'error');
+        return;
+    }
+    const project = createProject({
+        outline: currentSelection.outline,
+        rotation: currentSelection.rotation,
+        settings: readSettings(),
+        style,
+        data: currentOsmData
+    });
+    downloadBlob(new Blob([JSON.stringify(project)], { type: 'application/json' }), 'project.json');
+    setProjectStatus('');
+});
+
+document.getElementById('project-file').addEventListener('change', event => {
+    const file = event.target.files[0];
+    if (!file) return;
+    file.text()
+        .then(text => {
+            const project = parseProject(text);
+            if (downloadController) downloadController.abort();
+            document.getElementById('osm-file').value = '';
+            importedElements = null;
+            setOsmStatus('');
+
+            applySettings(project.settings);
+            style = project.style;
+            localStorage.setItem('style', JSON.stringify(style));
+            buildStylePanel();
+
+            drawnItems.clearLayers();
+            drawnItems.addLayer(selectionLayer(project.outline));
+            map.fitBounds(L.latLngBounds(project.outline));
+            showOsmData(project.data, { outline: project.outline, bounds: L.latLngBounds(project.outline), rotation: project.rotation });
+            setProjectStatus(`Opened ${file.name}.`);
+        })
+        .catch(error => {
+            setProjectStatus(`Could not open project: ${error.message}`, 'error');
+            console.error('Error opening project:', error);
+        });
+    event.target.value = '';
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unzipSync, strFromU8 } from 'fflate';
+import { buildModel, printScene, layerOf } from '../js/model.js';
+import { normalizeStyle } from '../js/style.js';
+import { exportModel } from '../js/exportModel.js';
+
+// A few blocks of a made-up town near 0°, 0°, about 100 m across
+const step = 0.0001;
+
+function area(shapes) {
+    let id = 1;
+    const elements = [];
+    shapes.forEach(({ points, tags, closed = true }) => {
+        const refs = points.map(([north, east]) => {
+            elements.push({ type: 'node', id, lat: north * step, lon: east * step });
+            return id++;
+        });
+        if (closed) refs.push(refs[0]);
+        elements.push({ type: 'way', id: id++, nodes: refs, tags });
+    });
+    return { elements };
+}
+
+const outline = [
+    { lat: 0, lng: 0 },
+    { lat: 0, lng: 10 * step },
+    { lat: 8 * step, lng: 10 * step },
+    { lat: 8 * step, lng: 0 }
+];
+
+const town = [
+    { points: [[1, 1], [1, 3], [3, 3], [3, 1]], tags: { building: 'yes', 'building:levels': '3' } },
+    { points: [[1, 5], [1, 8], [3, 8], [3, 5]], tags: { building: 'house', 'roof:shape': 'gabled' } },
+    { points: [[5, 6], [5, 9], [7, 9], [7, 6]], tags: { leisure: 'park' } },
+    { points: [[4, -1], [4, 11]], tags: { highway: 'residential' }, closed: false }
+];
+
+function build(shapes) {
+    return buildModel(area(shapes), outline, { style: normalizeStyle({}), modelSizeMM: 100 });
+}
+
+function featureClassesOf(modelGroup) {
+    return new Set(modelGroup.children.map(mesh => mesh.userData.featureClass).filter(Boolean));
+}
+
+test('buildModel turns the elements into layers on a base', () => {
+    const modelGroup = build(town);
+    const classes = featureClassesOf(modelGroup);
+    ['base', 'buildings', 'roads', 'parks'].forEach(featureClass =>
+        assert.ok(classes.has(featureClass), `no ${featureClass} in ${[...classes]}`));
+    assert.equal(modelGroup.userData.features.filter(feature => feature.kind === 'building').length, 2);
+});
+
+test('exportModel writes a 3MF that passes the validator', () => {
+    const modelGroup = build(town);
+    return exportModel(printScene(modelGroup, 100), '3mf', { layerOf }).then(({ blob, filename, issues }) => {
+        assert.equal(filename, 'model.3mf');
+        assert.deepEqual(issues, []);
+        return blob.arrayBuffer();
+    }).then(buffer => {
+        const files = unzipSync(new Uint8Array(buffer));
+        assert.ok(files['3D/3dmodel.model'], `no model in ${Object.keys(files)}`);
+        const model = strFromU8(files['3D/3dmodel.model']);
+        ['Base', 'Buildings', 'Roads', 'Parks'].forEach(name =>
+            assert.ok(model.includes(`name="${name}"`), `no ${name} object`));
+    });
+});
+
+test('a base recessed for water exports as one closed object', () => {
+    const modelGroup = build(town.concat([
+        { points: [[5, 1], [5, 4], [7, 4.5], [7.5, 2]], tags: { natural: 'water' } },
+        { points: [[6, -1], [6, 11]], tags: { waterway: 'river' }, closed: false }
+    ]));
+    assert.ok(featureClassesOf(modelGroup).has('water'));
+    assert.equal(modelGroup.children.filter(mesh => mesh.userData.featureClass === 'base').length, 1);
+    return exportModel(printScene(modelGroup, 100), '3mf', { layerOf }).then(({ issues }) => {
+        assert.deepEqual(issues, []);
+    });
+});
+
+test('exportModel writes STL', () => {
+    const modelGroup = build(town);
+    return exportModel(printScene(modelGroup, 100), 'stl', { layerOf }).then(({ blob, filename }) => {
+        assert.equal(filename, 'model.stl');
+        assert.ok(blob.size > 0);
+    });
+});
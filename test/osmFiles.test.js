@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { strToU8, zlibSync } from 'fflate';
+import { parseOsmFile } from '../js/osmFiles.js';
+
+// Just enough of a protobuf writer to put a PBF extract together
+
+function varint(value) {
+    let rest = BigInt.asUintN(64, BigInt(value));
+    const bytes = [];
+    do {
+        const low = Number(rest & 0x7fn);
+        rest >>= 7n;
+        bytes.push(rest > 0n ? low | 0x80 : low);
+    } while (rest > 0n);
+    return bytes;
+}
+
+const zigzag = value => value >= 0 ? 2 * value : -2 * value - 1;
+const number = (field, value) => varint(field * 8).concat(varint(value));
+const bytes = (field, content) => varint(field * 8 + 2).concat(varint(content.length), [...content]);
+const packed = (field, values) => bytes(field, values.flatMap(varint));
+const deltas = values => values.map((value, i) => value - (i > 0 ? values[i - 1] : 0));
+
+function fileBlock(type, data, compress) {
+    const blob = compress ? number(2, data.length).concat(bytes(3, zlibSync(new Uint8Array(data)))) : bytes(1, data);
+    const header = bytes(1, strToU8(type)).concat(number(3, blob.length));
+    return [0, 0, header.length >> 8, header.length & 0xff].concat(header, blob);
+}
+
+// Nodes around 50°S 70°W, where the block offsets are negative
+function extract(compress) {
+    const strings = ['', 'name', 'Harbour', 'highway', 'path'];
+    const latOffset = -50000000007, lonOffset = -70000000003;
+    const lats = [100, 1100, 2100], lons = [200, 200, 1200];
+    const dense = packed(1, deltas([1, 2, 3]).map(zigzag))
+        .concat(packed(8, deltas(lats).map(zigzag)), packed(9, deltas(lons).map(zigzag)), packed(10, [1, 2, 0, 0, 0]));
+    const way = number(1, 10).concat(packed(2, [3]), packed(3, [4]), packed(8, deltas([1, 2, 3]).map(zigzag)));
+    const block = bytes(1, strings.flatMap(text => bytes(1, strToU8(text))))
+        .concat(bytes(2, bytes(2, dense).concat(bytes(3, way))), number(17, 100), number(19, latOffset), number(20, lonOffset));
+    const data = fileBlock('OSMHeader', [], compress).concat(fileBlock('OSMData', block, compress));
+    return new Uint8Array(data).buffer;
+}
+
+[false, true].forEach(compress => {
+    test(`parseOsmFile reads ${compress ? 'zlib' : 'raw'} PBF blocks with negative offsets`, () => {
+        const { elements } = parseOsmFile('area.osm.pbf', extract(compress));
+        assert.equal(elements.length, 4);
+        const [first, , last, way] = elements;
+        assert.equal(first.id, 1);
+        assert.ok(Math.abs(first.lat - -49.999990007) < 1e-12, `latitude ${first.lat}`);
+        assert.ok(Math.abs(first.lon - -69.999980003) < 1e-12, `longitude ${first.lon}`);
+        assert.deepEqual(first.tags, { name: 'Harbour' });
+        assert.ok(Math.abs(last.lat - -49.999790007) < 1e-12, `latitude ${last.lat}`);
+        assert.deepEqual(way, { type: 'way', id: 10, nodes: [1, 2, 3], tags: { highway: 'path' } });
+    });
+});
@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { fetchOverpass } from '../js/overpass.js';
+
+// A stand-in for a few Overpass servers, one per path
+const server = createServer((request, response) => {
+    switch (request.url) {
+        case '/page':
+            response.writeHead(200, { 'Content-Type': 'text/html' });
+            response.end('<html><body>Service temporarily unavailable</body></html>');
+            break;
+        case '/stall':
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.write('{"elements":');
+            break;
+        case '/refuse':
+            response.writeHead(400);
+            response.end('<p>Error: line 1: parse error</p>');
+            break;
+        default:
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end('{"elements":[{"type":"node","id":1,"lat":0,"lon":0}]}');
+    }
+});
+let base;
+
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+})));
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test('fetchOverpass moves on from a server that answers with something other than JSON', () => {
+    const messages = [];
+    return fetchOverpass('[out:json];node(1);out;', {
+        endpoints: [`${base}/page`, `${base}/ok`],
+        timeoutS: 5,
+        onStatus: message => messages.push(message)
+    }).then(result => {
+        assert.equal(result.elements.length, 1);
+        assert.ok(messages.some(message => message.includes('sent an invalid response; trying')), messages.join('\n'));
+    });
+});
+
+test('fetchOverpass gives up on a server that stops sending', () => {
+    return fetchOverpass('[out:json];node(1);out;', {
+        endpoints: [`${base}/stall`],
+        timeoutS: 1
+    }).then(() => assert.fail('resolved'), error => {
+        assert.match(error.message, /did not answer within 1 s/);
+    });
+});
+
+test('fetchOverpass reports a refused query without trying the mirrors', () => {
+    return fetchOverpass('node(', {
+        endpoints: [`${base}/refuse`, `${base}/ok`],
+        timeoutS: 5
+    }).then(() => assert.fail('resolved'), error => {
+        assert.match(error.message, /refused the query \(400\)/);
+    });
+});